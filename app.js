@@ -4,6 +4,10 @@ import connect from './db/db.js';
 import userRoutes from './routes/user.routes.js';
 import projectRoutes from './routes/project.routes.js';
 import aiRoutes from './routes/ai.routes.js';
+import invitationRoutes from './routes/invitation.routes.js';
+import templateRoutes from './routes/template.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import * as authMiddleware from './middleware/auth.middleware.js';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
 
@@ -28,8 +32,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Set-Cookie'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposedHeaders: ['Set-Cookie', 'ETag'],
     preflightContinue: false,
     optionsSuccessStatus: 204
 }));
@@ -40,8 +44,12 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
 app.use('/users', userRoutes);
-app.use('/projects', projectRoutes);
-app.use('/ai', aiRoutes);
+// Project and AI features need a verified email when REQUIRE_EMAIL_VERIFICATION=true
+app.use('/projects', authMiddleware.authUser, authMiddleware.requireVerifiedEmail, projectRoutes);
+app.use('/ai', authMiddleware.authUser, authMiddleware.requireVerifiedEmail, aiRoutes);
+app.use('/invitations', authMiddleware.authUser, authMiddleware.requireVerifiedEmail, invitationRoutes);
+app.use('/templates', authMiddleware.authUser, authMiddleware.requireVerifiedEmail, templateRoutes);
+app.use('/notifications', notificationRoutes);
 
 app.get('/', (req, res) => {
     res.send('Hello World!');
@@ -0,0 +1,50 @@
+import * as activityService from '../services/activity.service.js';
+import userModel from '../models/user.model.js';
+import { sendValidationErrors, validatedQuery } from '../middleware/validation.middleware.js';
+
+/**
+ * A project's activity feed, newest first
+ */
+export const listActivity = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { action, actorId, targetId, since, until, cursor, limit } = validatedQuery(req);
+
+        const result = await activityService.listActivity({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            action,
+            actorId,
+            targetId,
+            since,
+            until,
+            cursor,
+            limit
+        });
+
+        return res.status(200).json(result);
+
+    } catch (err) {
+        console.error('List activity error:', err);
+
+        if (err.message.includes('not a member')) {
+            return res.status(403).json({
+                error: err.message,
+                type: 'access_denied'
+            });
+        }
+
+        if (err.message === 'Project not found') {
+            return res.status(404).json({ error: err.message });
+        }
+
+        return res.status(400).json({ error: err.message });
+    }
+};
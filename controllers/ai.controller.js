@@ -1,10 +1,106 @@
 import * as ai from '../services/ai.service.js';
+import * as aiUsageService from '../services/aiUsage.service.js';
+import * as aiCacheService from '../services/aiCache.service.js';
+import { describeProviders } from '../services/aiProvider.service.js';
+import userModel from '../models/user.model.js';
+import { sendValidationErrors, validatedQuery } from '../middleware/validation.middleware.js';
+
+const sendUsageLimitError = (res, error) => {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+        error: error.message,
+        errorType: error.errorType,
+        scope: error.scope,
+        window: error.window,
+        metric: error.metric,
+        limit: error.limit,
+        retryAfter: error.retryAfter
+    });
+};
 
 export const getResult = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
     try {
-        const { prompt } = req.query;
-        const result = await ai.generateResult(prompt);
+        const { prompt, bypassCache } = validatedQuery(req);
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await aiUsageService.reserveRequest({ userId: loggedInUser._id });
+
+        let tokens = 0;
+        const result = await ai.generateResult(prompt, {
+            cacheScope: `user:${loggedInUser._id}`,
+            bypassCache,
+            onUsage: usage => { tokens += (usage.promptTokens || 0) + (usage.completionTokens || 0); }
+        });
+
+        await aiUsageService.recordTokens({ userId: loggedInUser._id, tokens })
+            .catch(error => console.error('AI usage error:', error.message));
+
         res.send(result);
+    } catch (error) {
+        if (error.errorType === 'usage_limit') {
+            return sendUsageLimitError(res, error);
+        }
+        res.status(500).send({ message: error.message });
+    }
+}
+
+/**
+ * Registered AI providers, whether they are configured and their place in the fallback chain
+ */
+export const getProviders = async (req, res) => {
+    try {
+        res.status(200).json({ providers: describeProviders() });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+}
+
+/**
+ * The caller's AI consumption and limits; with ?projectId= also the project's
+ */
+export const getUsage = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const usage = await aiUsageService.getUsage({
+            userId: loggedInUser._id,
+            projectId: req.query.projectId
+        });
+
+        res.status(200).json({ usage });
+    } catch (error) {
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({ error: error.message, type: 'access_denied' });
+        }
+
+        if (error.message === 'Project not found') {
+            return res.status(404).json({ error: error.message });
+        }
+
+        res.status(500).send({ message: error.message });
+    }
+}
+
+/**
+ * Response cache hit/miss counters and configuration
+ */
+export const getCacheStats = async (req, res) => {
+    try {
+        const stats = await aiCacheService.getCacheStats();
+        res.status(200).json({ stats });
     } catch (error) {
         res.status(500).send({ message: error.message });
     }
@@ -0,0 +1,279 @@
+import * as fileService from '../services/file.service.js';
+import userModel from '../models/user.model.js';
+import { parseExpectedRevision } from '../services/revision.service.js';
+import { sendValidationErrors, validatedQuery } from '../middleware/validation.middleware.js';
+
+const sendFileError = (res, err) => {
+    if (err.message.includes('modified by someone else')) {
+        return res.status(409).json({
+            error: err.message,
+            type: 'revision_conflict',
+            currentRevision: err.currentRevision,
+            conflictingPaths: err.conflictingPaths
+        });
+    }
+
+    if (err.message.includes('not a member')) {
+        return res.status(403).json({
+            error: err.message,
+            type: 'access_denied'
+        });
+    }
+
+    if (err.message.includes('permission')) {
+        return res.status(403).json({
+            error: err.message,
+            type: 'permission_denied'
+        });
+    }
+
+    if (err.message === 'Project not found' || err.message === 'File not found') {
+        return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message.includes('already exists')) {
+        return res.status(409).json({
+            error: err.message,
+            type: 'path_exists'
+        });
+    }
+
+    return res.status(400).json({ error: err.message });
+};
+
+/**
+ * Notify everyone in the project room about a file change
+ */
+const emitFileEvent = (req, event, payload, user) => {
+    const io = req.app.get('io');
+    if (!io) return;
+
+    io.to(req.params.projectId).emit(event, {
+        projectId: req.params.projectId,
+        ...payload,
+        user: { _id: user._id, email: user.email }
+    });
+};
+
+/**
+ * Read a single file (or list a directory)
+ */
+export const readFile = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const file = await fileService.readFile({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            path: req.query.path
+        });
+
+        return res.status(200).json({ file });
+
+    } catch (err) {
+        console.error('Read file error:', err);
+        sendFileError(res, err);
+    }
+};
+
+/**
+ * Search file paths and contents
+ */
+export const searchFiles = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { q, regex, caseSensitive, contextLines, cursor, limit } = validatedQuery(req);
+
+        const result = await fileService.searchFiles({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            query: q,
+            regex,
+            caseSensitive,
+            contextLines,
+            cursor,
+            limit
+        });
+
+        return res.status(200).json(result);
+
+    } catch (err) {
+        console.error('Search files error:', err);
+
+        if (err.message.includes('Too many searches')) {
+            res.set('Retry-After', '1');
+            return res.status(503).json({ error: err.message, type: 'search_busy' });
+        }
+
+        sendFileError(res, err);
+    }
+};
+
+/**
+ * Create a file or directory
+ */
+export const createFile = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { path, contents, type } = req.body;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await fileService.createFile({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            path,
+            contents,
+            type,
+            expectedRevision: parseExpectedRevision(req.get('If-Match') ?? req.body.expectedRevision)
+        });
+
+        const { revision } = result.project;
+        emitFileEvent(req, 'file-created', { path: result.path, type: result.type, contents, revision }, loggedInUser);
+
+        res.set('ETag', `"${revision}"`);
+        return res.status(201).json({
+            path: result.path,
+            type: result.type,
+            revision,
+            message: 'Created successfully'
+        });
+
+    } catch (err) {
+        console.error('Create file error:', err);
+        sendFileError(res, err);
+    }
+};
+
+/**
+ * Replace the contents of a single file
+ */
+export const updateFile = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { path, contents } = req.body;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await fileService.updateFile({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            path,
+            contents,
+            expectedRevision: parseExpectedRevision(req.get('If-Match') ?? req.body.expectedRevision)
+        });
+
+        const { revision } = result.project;
+        emitFileEvent(req, 'file-updated', { path: result.path, contents, revision }, loggedInUser);
+
+        res.set('ETag', `"${revision}"`);
+        return res.status(200).json({
+            path: result.path,
+            revision,
+            message: 'File updated successfully'
+        });
+
+    } catch (err) {
+        console.error('Update file error:', err);
+        sendFileError(res, err);
+    }
+};
+
+/**
+ * Rename or move a file or directory
+ */
+export const moveFile = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { from, to } = req.body;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await fileService.moveFile({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            from,
+            to,
+            expectedRevision: parseExpectedRevision(req.get('If-Match') ?? req.body.expectedRevision)
+        });
+
+        const { revision } = result.project;
+        emitFileEvent(req, 'file-moved', { from: result.from, to: result.to, revision }, loggedInUser);
+
+        res.set('ETag', `"${revision}"`);
+        return res.status(200).json({
+            from: result.from,
+            to: result.to,
+            revision,
+            message: 'Moved successfully'
+        });
+
+    } catch (err) {
+        console.error('Move file error:', err);
+        sendFileError(res, err);
+    }
+};
+
+/**
+ * Delete a file or directory
+ */
+export const deleteFile = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await fileService.deleteFile({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            path: req.query.path,
+            expectedRevision: parseExpectedRevision(req.get('If-Match') ?? req.query.expectedRevision)
+        });
+
+        const { revision } = result.project;
+        emitFileEvent(req, 'file-deleted', { path: result.path, revision }, loggedInUser);
+
+        res.set('ETag', `"${revision}"`);
+        return res.status(200).json({
+            path: result.path,
+            revision,
+            message: 'Deleted successfully'
+        });
+
+    } catch (err) {
+        console.error('Delete file error:', err);
+        sendFileError(res, err);
+    }
+};
@@ -0,0 +1,202 @@
+import * as invitationService from '../services/invitation.service.js';
+import userModel from '../models/user.model.js';
+import { sendValidationErrors } from '../middleware/validation.middleware.js';
+
+const sendInvitationError = (res, err) => {
+    if (err.message.includes('Only the project owner') || err.message.includes('different email')) {
+        return res.status(403).json({
+            error: err.message,
+            type: 'permission_denied'
+        });
+    }
+
+    if (err.message.endsWith('not found')) {
+        return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message.includes('already') || err.message.includes('expired')) {
+        return res.status(409).json({
+            error: err.message,
+            type: 'invitation_conflict'
+        });
+    }
+
+    return res.status(400).json({ error: err.message });
+};
+
+/**
+ * Invite someone to a project by email (owner only)
+ */
+export const createInvitation = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { email, role } = req.body;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { invitation } = await invitationService.createInvitation({
+            projectId: req.params.projectId,
+            email,
+            role,
+            inviterId: loggedInUser._id
+        });
+
+        return res.status(201).json({
+            invitation,
+            message: `Invitation sent to ${invitation.email}`
+        });
+
+    } catch (err) {
+        console.error('Create invitation error:', err);
+        sendInvitationError(res, err);
+    }
+};
+
+/**
+ * List a project's invitations (owner only)
+ */
+export const listProjectInvitations = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const invitations = await invitationService.listProjectInvitations({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            status: req.query.status
+        });
+
+        return res.status(200).json({
+            invitations,
+            count: invitations.length
+        });
+
+    } catch (err) {
+        console.error('List project invitations error:', err);
+        sendInvitationError(res, err);
+    }
+};
+
+/**
+ * Revoke a pending invitation (owner only)
+ */
+export const revokeInvitation = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { invitation, inviteeId } = await invitationService.revokeInvitation({
+            projectId: req.params.projectId,
+            invitationId: req.params.invitationId,
+            userId: loggedInUser._id
+        });
+
+        const io = req.app.get('io');
+        if (io && inviteeId) {
+            io.to(inviteeId.toString()).emit('project-invitation-revoked', {
+                invitationId: invitation._id,
+                projectId: invitation.project
+            });
+        }
+
+        return res.status(200).json({
+            invitation,
+            message: 'Invitation revoked'
+        });
+
+    } catch (err) {
+        console.error('Revoke invitation error:', err);
+        sendInvitationError(res, err);
+    }
+};
+
+/**
+ * List pending invitations addressed to the logged-in user
+ */
+export const listMyInvitations = async (req, res) => {
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const invitations = await invitationService.listMyInvitations({
+            userId: loggedInUser._id
+        });
+
+        return res.status(200).json({
+            invitations,
+            count: invitations.length
+        });
+
+    } catch (err) {
+        console.error('List my invitations error:', err);
+        sendInvitationError(res, err);
+    }
+};
+
+const respond = (accept) => async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { token, invitationId } = req.body;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { invitation, project } = await invitationService.respondToInvitation({
+            token,
+            invitationId,
+            userId: loggedInUser._id,
+            accept
+        });
+
+        const io = req.app.get('io');
+        if (io && accept) {
+            io.to(invitation.project.toString()).emit('project-member-joined', {
+                projectId: invitation.project,
+                user: { _id: loggedInUser._id, email: loggedInUser.email },
+                role: invitation.role
+            });
+        }
+
+        return res.status(200).json({
+            invitation,
+            project,
+            message: accept ? 'Invitation accepted' : 'Invitation declined'
+        });
+
+    } catch (err) {
+        console.error(`${accept ? 'Accept' : 'Decline'} invitation error:`, err);
+        sendInvitationError(res, err);
+    }
+};
+
+/**
+ * Accept an invitation by emailed token or invitation id
+ */
+export const acceptInvitation = respond(true);
+
+/**
+ * Decline an invitation by emailed token or invitation id
+ */
+export const declineInvitation = respond(false);
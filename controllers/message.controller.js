@@ -0,0 +1,47 @@
+import * as messageService from '../services/message.service.js';
+import userModel from '../models/user.model.js';
+import { sendValidationErrors } from '../middleware/validation.middleware.js';
+
+/**
+ * Get paginated chat history for a project
+ * Only project members can read messages
+ */
+export const getProjectMessages = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { projectId } = req.params;
+        const { cursor, limit } = req.query;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await messageService.getProjectMessages({
+            projectId,
+            userId: loggedInUser._id,
+            cursor,
+            limit
+        });
+
+        return res.status(200).json(result);
+
+    } catch (err) {
+        console.error('Get project messages error:', err);
+
+        if (err.message.includes('not a member')) {
+            return res.status(403).json({
+                error: err.message,
+                type: 'access_denied'
+            });
+        }
+
+        if (err.message === 'Project not found') {
+            return res.status(404).json({ error: err.message });
+        }
+
+        res.status(400).json({ error: err.message });
+    }
+};
@@ -0,0 +1,99 @@
+import * as notificationService from '../services/notification.service.js';
+import userModel from '../models/user.model.js';
+import { sendValidationErrors, validatedQuery } from '../middleware/validation.middleware.js';
+
+const loadUser = async (req, res) => {
+    const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+    if (!loggedInUser) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+
+    return loggedInUser;
+};
+
+/**
+ * The logged-in user's notifications (?unread=true for unread only)
+ */
+export const listNotifications = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const { unread, cursor, limit } = validatedQuery(req);
+
+        const result = await notificationService.listNotifications({
+            userId: loggedInUser._id,
+            unreadOnly: unread === true,
+            cursor,
+            limit
+        });
+
+        return res.status(200).json(result);
+
+    } catch (err) {
+        console.error('List notifications error:', err);
+        res.status(400).json({ error: err.message });
+    }
+};
+
+export const getUnreadCount = async (req, res) => {
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const unreadCount = await notificationService.getUnreadCount({ userId: loggedInUser._id });
+
+        return res.status(200).json({ unreadCount });
+
+    } catch (err) {
+        console.error('Unread notification count error:', err);
+        res.status(400).json({ error: err.message });
+    }
+};
+
+export const markRead = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const result = await notificationService.markRead({
+            userId: loggedInUser._id,
+            notificationId: req.params.notificationId
+        });
+
+        return res.status(200).json(result);
+
+    } catch (err) {
+        console.error('Mark notification read error:', err);
+
+        if (err.message === 'Notification not found') {
+            return res.status(404).json({ error: err.message });
+        }
+
+        res.status(400).json({ error: err.message });
+    }
+};
+
+export const markAllRead = async (req, res) => {
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const result = await notificationService.markAllRead({ userId: loggedInUser._id });
+
+        return res.status(200).json({
+            ...result,
+            message: 'All notifications marked as read'
+        });
+
+    } catch (err) {
+        console.error('Mark all notifications read error:', err);
+        res.status(400).json({ error: err.message });
+    }
+};
@@ -1,24 +1,21 @@
 import projectModel from '../models/project.model.js';
 import * as projectService from '../services/project.service.js';
+import * as presenceService from '../services/presence.service.js';
+import * as archiveService from '../services/archive.service.js';
+import * as invitationService from '../services/invitation.service.js';
 import userModel from '../models/user.model.js';
-import { validationResult } from 'express-validator';
+import { parseExpectedRevision } from '../services/revision.service.js';
+import { sendValidationErrors } from '../middleware/validation.middleware.js';
 
 /**
  * Create a new project
  * FIXED: Uses updated service with explicit owner
  */
 export const createProject = async (req, res) => {
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ 
-            errors: errors.array(),
-            message: errors.array()[0].msg 
-        });
-    }
+    if (sendValidationErrors(req, res)) return;
 
     try {
-        const { name } = req.body;
+        const { name, templateId } = req.body;
         
         // Get logged-in user
         const loggedInUser = await userModel.findOne({ email: req.user.email });
@@ -30,7 +27,7 @@ export const createProject = async (req, res) => {
         const userId = loggedInUser._id;
 
         // Create project with explicit owner
-        const newProject = await projectService.createProject({ name, userId });
+        const newProject = await projectService.createProject({ name, userId, templateId });
 
         res.status(201).json({
             project: newProject,
@@ -41,6 +38,10 @@ export const createProject = async (req, res) => {
         console.error('Create project error:', err);
         
         // Handle specific errors
+        if (err.message === 'Template not found') {
+            return res.status(404).json({ error: err.message });
+        }
+
         if (err.message.includes('already exists')) {
             return res.status(400).json({ 
                 error: err.message,
@@ -61,6 +62,55 @@ export const createProject = async (req, res) => {
     }
 };
 
+/**
+ * Copy a project the user can access into a new project they own
+ */
+export const forkProject = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const fork = await projectService.forkProject({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            name: req.body.name
+        });
+
+        res.status(201).json({
+            project: fork,
+            message: 'Workspace forked successfully'
+        });
+
+    } catch (err) {
+        console.error('Fork project error:', err);
+        
+        if (err.message.includes('not a member')) {
+            return res.status(403).json({ 
+                error: err.message,
+                type: 'access_denied'
+            });
+        }
+        
+        if (err.message === 'Project not found') {
+            return res.status(404).json({ error: err.message });
+        }
+        
+        if (err.message.includes('already exists')) {
+            return res.status(400).json({ 
+                error: err.message,
+                type: 'duplicate_name'
+            });
+        }
+        
+        res.status(400).json({ error: err.message });
+    }
+};
+
 /**
  * Get all projects for logged-in user
  * FIXED: Returns projects with proper owner information
@@ -89,21 +139,14 @@ export const getAllProject = async (req, res) => {
 };
 
 /**
- * Add users to project
+ * Invite users to project; they become members once they accept
  * FIXED: Validates ownership before allowing
  */
 export const addUserToProject = async (req, res) => {
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ 
-            errors: errors.array(),
-            message: errors.array()[0].msg 
-        });
-    }
+    if (sendValidationErrors(req, res)) return;
 
     try {
-        const { projectId, users } = req.body;
+        const { projectId, users, role } = req.body;
 
         const loggedInUser = await userModel.findOne({ email: req.user.email });
         
@@ -111,15 +154,26 @@ export const addUserToProject = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const project = await projectService.addUsersToProject({
+        // Collaborators join by accepting an invitation, never directly
+        const { invitations, skipped } = await invitationService.inviteUsers({
             projectId,
-            users,
-            userId: loggedInUser._id
+            userIds: users,
+            role,
+            inviterId: loggedInUser._id
         });
 
-        return res.status(200).json({
-            project,
-            message: `Successfully added ${users.length} collaborator${users.length !== 1 ? 's' : ''}`
+        if (invitations.length === 0) {
+            return res.status(409).json({
+                error: 'None of the selected users could be invited',
+                type: 'duplicate_members',
+                skipped
+            });
+        }
+
+        return res.status(202).json({
+            invitations,
+            skipped,
+            message: `Invitation${invitations.length !== 1 ? 's' : ''} sent to ${invitations.length} user${invitations.length !== 1 ? 's' : ''}`
         });
 
     } catch (err) {
@@ -131,12 +185,9 @@ export const addUserToProject = async (req, res) => {
                 type: 'permission_denied'
             });
         }
-        
-        if (err.message.includes('already members')) {
-            return res.status(400).json({ 
-                error: err.message,
-                type: 'duplicate_members'
-            });
+
+        if (err.message.endsWith('not found')) {
+            return res.status(404).json({ error: err.message });
         }
         
         res.status(400).json({ error: err.message });
@@ -167,8 +218,10 @@ export const getProjectById = async (req, res) => {
             });
         }
 
+        res.set('ETag', `"${project.revision}"`);
         return res.status(200).json({
-            project
+            project,
+            role: project.getRole(loggedInUser._id)
         });
 
     } catch (err) {
@@ -187,17 +240,10 @@ export const getProjectById = async (req, res) => {
  * FIXED: Validates membership and passes userId
  */
 export const updateFileTree = async (req, res) => {
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ 
-            errors: errors.array(),
-            message: errors.array()[0].msg 
-        });
-    }
+    if (sendValidationErrors(req, res)) return;
 
     try {
-        const { projectId, fileTree } = req.body;
+        const { projectId, fileTree, message } = req.body;
 
         const loggedInUser = await userModel.findOne({ email: req.user.email });
         
@@ -208,9 +254,12 @@ export const updateFileTree = async (req, res) => {
         const project = await projectService.updateFileTree({
             projectId,
             fileTree,
-            userId: loggedInUser._id
+            userId: loggedInUser._id,
+            message,
+            expectedRevision: parseExpectedRevision(req.get('If-Match') ?? req.body.expectedRevision)
         });
 
+        res.set('ETag', `"${project.revision}"`);
         return res.status(200).json({
             project,
             message: 'File tree updated successfully'
@@ -219,7 +268,16 @@ export const updateFileTree = async (req, res) => {
     } catch (err) {
         console.error('Update file tree error:', err);
         
-        if (err.message.includes('not a member')) {
+        if (err.message.includes('modified by someone else')) {
+            return res.status(409).json({
+                error: err.message,
+                type: 'revision_conflict',
+                currentRevision: err.currentRevision,
+                conflictingPaths: err.conflictingPaths
+            });
+        }
+
+        if (err.message.includes('not a member') || err.message.includes('permission')) {
             return res.status(403).json({ 
                 error: err.message,
                 type: 'permission_denied'
@@ -366,14 +424,7 @@ export const deleteProject = async (req, res) => {
  * NEW: Allows owner to remove members or users to leave
  */
 export const removeUserFromProject = async (req, res) => {
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ 
-            errors: errors.array(),
-            message: errors.array()[0].msg 
-        });
-    }
+    if (sendValidationErrors(req, res)) return;
 
     try {
         const { projectId, userIdToRemove } = req.body;
@@ -408,3 +459,389 @@ export const removeUserFromProject = async (req, res) => {
         res.status(400).json({ error: err.message });
     }
 };
+
+const sendOwnershipError = (res, err) => {
+    if (err.message.includes('Only the project owner')) {
+        return res.status(403).json({ 
+            error: err.message,
+            type: 'permission_denied'
+        });
+    }
+
+    if (err.message === 'Project not found') {
+        return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message.includes('no pending ownership transfer') ||
+        err.message.includes('expired') ||
+        err.message.includes('ownership changed')) {
+        return res.status(409).json({
+            error: err.message,
+            type: 'ownership_transfer_conflict'
+        });
+    }
+
+    return res.status(400).json({ error: err.message });
+};
+
+/**
+ * Transfer ownership to a member (owner only), immediately or once they accept
+ */
+export const transferOwnership = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { projectId } = req.params;
+        const { newOwnerId, requireConfirmation, previousOwnerRole } = req.body;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { project, pending } = await projectService.transferOwnership({
+            projectId,
+            newOwnerId,
+            requestingUserId: loggedInUser._id,
+            requireConfirmation,
+            previousOwnerRole
+        });
+
+        if (pending) {
+            const io = req.app.get('io');
+            const offer = {
+                projectId: project._id,
+                projectName: project.name,
+                from: { _id: loggedInUser._id, email: loggedInUser.email },
+                to: newOwnerId,
+                expiresAt: project.pendingOwnershipTransfer.expiresAt
+            };
+            io?.to(projectId).emit('project-ownership-transfer-requested', offer);
+            io?.to(newOwnerId.toString()).emit('project-ownership-transfer-requested', offer);
+        }
+
+        return res.status(pending ? 202 : 200).json({
+            project,
+            pending,
+            message: pending
+                ? 'Ownership transfer requested. It completes when the new owner accepts.'
+                : 'Ownership transferred'
+        });
+
+    } catch (err) {
+        console.error('Transfer ownership error:', err);
+        sendOwnershipError(res, err);
+    }
+};
+
+const respondToOwnershipTransfer = (accept) => async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { projectId } = req.params;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { project } = await projectService.respondToOwnershipTransfer({
+            projectId,
+            userId: loggedInUser._id,
+            accept
+        });
+
+        if (!accept) {
+            req.app.get('io')?.to(projectId).emit('project-ownership-transfer-declined', {
+                projectId,
+                userId: loggedInUser._id
+            });
+        }
+
+        return res.status(200).json({
+            project,
+            message: accept ? 'You are now the owner of this project' : 'Ownership transfer declined'
+        });
+
+    } catch (err) {
+        console.error('Respond to ownership transfer error:', err);
+        sendOwnershipError(res, err);
+    }
+};
+
+export const acceptOwnershipTransfer = respondToOwnershipTransfer(true);
+
+export const declineOwnershipTransfer = respondToOwnershipTransfer(false);
+
+/**
+ * Withdraw a pending ownership transfer (owner only)
+ */
+export const cancelOwnershipTransfer = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { projectId } = req.params;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { recipientId } = await projectService.cancelOwnershipTransfer({
+            projectId,
+            userId: loggedInUser._id
+        });
+
+        const io = req.app.get('io');
+        io?.to(projectId).emit('project-ownership-transfer-cancelled', { projectId });
+        io?.to(recipientId.toString()).emit('project-ownership-transfer-cancelled', { projectId });
+
+        return res.status(200).json({ message: 'Ownership transfer cancelled' });
+
+    } catch (err) {
+        console.error('Cancel ownership transfer error:', err);
+        sendOwnershipError(res, err);
+    }
+};
+
+/**
+ * Override the AI providers, models and parameters for a project (owner only)
+ */
+export const updateAiSettings = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { projectId } = req.params;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const aiSettings = await projectService.updateAiSettings({
+            projectId,
+            settings: req.body,
+            userId: loggedInUser._id
+        });
+
+        return res.status(200).json({
+            aiSettings,
+            message: 'AI settings updated'
+        });
+
+    } catch (err) {
+        console.error('Update AI settings error:', err);
+        
+        if (err.message.includes('Only the project owner')) {
+            return res.status(403).json({ 
+                error: err.message,
+                type: 'permission_denied'
+            });
+        }
+        
+        if (err.message === 'Project not found') {
+            return res.status(404).json({ error: err.message });
+        }
+        
+        res.status(400).json({ error: err.message });
+    }
+};
+
+/**
+ * Change a member's role (owner only)
+ */
+export const updateMemberRole = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { projectId, userId, role } = req.body;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const project = await projectService.updateMemberRole({
+            projectId,
+            targetUserId: userId,
+            role,
+            requestingUserId: loggedInUser._id
+        });
+
+        return res.status(200).json({
+            project,
+            message: `Role updated to ${role}`
+        });
+
+    } catch (err) {
+        console.error('Update member role error:', err);
+        
+        if (err.message.includes('Only the project owner')) {
+            return res.status(403).json({ 
+                error: err.message,
+                type: 'permission_denied'
+            });
+        }
+        
+        if (err.message === 'Project not found') {
+            return res.status(404).json({ error: err.message });
+        }
+        
+        res.status(400).json({ error: err.message });
+    }
+};
+
+/**
+ * Get who is currently online in a project and which file they have open
+ */
+export const getProjectPresence = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const users = await presenceService.getProjectPresence({
+            projectId,
+            userId: loggedInUser._id
+        });
+
+        return res.status(200).json({
+            users,
+            count: users.length
+        });
+
+    } catch (err) {
+        console.error('Get project presence error:', err);
+        
+        if (err.message.includes('not a member')) {
+            return res.status(403).json({ 
+                error: err.message,
+                type: 'access_denied'
+            });
+        }
+        
+        if (err.message === 'Project not found') {
+            return res.status(404).json({ error: err.message });
+        }
+        
+        res.status(400).json({ error: err.message });
+    }
+};
+
+/**
+ * Download the project's files as a zip
+ */
+export const exportProject = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { projectId } = req.params;
+
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const project = await projectService.getProjectById({ projectId });
+
+        if (!project.isMember(loggedInUser._id)) {
+            return res.status(403).json({ 
+                error: 'You do not have access to this project',
+                type: 'access_denied'
+            });
+        }
+
+        const archive = archiveService.createZipStream(project.fileTree);
+
+        archive.on('error', (error) => {
+            console.error('Export archive error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Failed to build the archive' });
+            } else {
+                res.destroy(error);
+            }
+        });
+
+        res.attachment(`${project.name}.zip`);
+        res.set('ETag', `"${project.revision}"`);
+        archive.pipe(res);
+
+    } catch (err) {
+        console.error('Export project error:', err);
+        
+        if (err.message === 'Project not found') {
+            return res.status(404).json({ error: err.message });
+        }
+        
+        res.status(400).json({ error: err.message });
+    }
+};
+
+/**
+ * Create a new project from an uploaded zip (multipart field "file")
+ */
+export const importProject = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.file) {
+        return res.status(400).json({ error: 'A zip file is required in the "file" field' });
+    }
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+        
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const uploadName = req.file.originalname || 'project.zip';
+        const name = req.body.name || uploadName.replace(/\.zip$/i, '').slice(0, 50);
+
+        const { fileTree, fileCount, totalBytes } = await archiveService.fileTreeFromZip(req.file.buffer);
+
+        const newProject = await projectService.createProject({
+            name,
+            userId: loggedInUser._id,
+            fileTree,
+            message: `Imported from ${uploadName}`.slice(0, 200)
+        });
+
+        res.status(201).json({
+            project: newProject,
+            fileCount,
+            totalBytes,
+            message: 'Workspace imported successfully'
+        });
+
+    } catch (err) {
+        console.error('Import project error:', err);
+
+        if (err.errorType === 'invalid_archive') {
+            return res.status(422).json({ 
+                error: err.message,
+                type: 'invalid_archive'
+            });
+        }
+        
+        if (err.message.includes('already exists')) {
+            return res.status(400).json({ 
+                error: err.message,
+                type: 'duplicate_name'
+            });
+        }
+        
+        res.status(400).json({ 
+            error: err.message || 'Failed to import workspace'
+        });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+import * as snapshotService from '../services/snapshot.service.js';
+import userModel from '../models/user.model.js';
+import { parseExpectedRevision } from '../services/revision.service.js';
+import { sendValidationErrors } from '../middleware/validation.middleware.js';
+
+const sendSnapshotError = (res, err) => {
+    if (err.message.includes('modified by someone else')) {
+        return res.status(409).json({
+            error: err.message,
+            type: 'revision_conflict',
+            currentRevision: err.currentRevision,
+            conflictingPaths: err.conflictingPaths
+        });
+    }
+
+    if (err.message.includes('not a member')) {
+        return res.status(403).json({
+            error: err.message,
+            type: 'access_denied'
+        });
+    }
+
+    if (err.message.includes('permission')) {
+        return res.status(403).json({
+            error: err.message,
+            type: 'permission_denied'
+        });
+    }
+
+    if (err.message === 'Project not found' || err.message === 'Snapshot not found') {
+        return res.status(404).json({ error: err.message });
+    }
+
+    return res.status(400).json({ error: err.message });
+};
+
+/**
+ * List snapshots of a project's file tree
+ */
+export const listSnapshots = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await snapshotService.listSnapshots({
+            projectId: req.params.projectId,
+            userId: loggedInUser._id,
+            cursor: req.query.cursor,
+            limit: req.query.limit
+        });
+
+        return res.status(200).json(result);
+
+    } catch (err) {
+        console.error('List snapshots error:', err);
+        sendSnapshotError(res, err);
+    }
+};
+
+/**
+ * Get a single snapshot with its file tree
+ */
+export const getSnapshot = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const snapshot = await snapshotService.getSnapshot({
+            projectId: req.params.projectId,
+            snapshotId: req.params.snapshotId,
+            userId: loggedInUser._id
+        });
+
+        return res.status(200).json({ snapshot });
+
+    } catch (err) {
+        console.error('Get snapshot error:', err);
+        sendSnapshotError(res, err);
+    }
+};
+
+/**
+ * Diff two snapshots file by file
+ */
+export const diffSnapshots = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const diff = await snapshotService.diffSnapshots({
+            projectId: req.params.projectId,
+            from: req.query.from,
+            to: req.query.to,
+            userId: loggedInUser._id
+        });
+
+        return res.status(200).json(diff);
+
+    } catch (err) {
+        console.error('Diff snapshots error:', err);
+        sendSnapshotError(res, err);
+    }
+};
+
+/**
+ * Restore a snapshot as the project's current file tree
+ */
+export const restoreSnapshot = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+        if (!loggedInUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { project, snapshot } = await snapshotService.restoreSnapshot({
+            projectId: req.params.projectId,
+            snapshotId: req.params.snapshotId,
+            userId: loggedInUser._id,
+            message: req.body.message,
+            expectedRevision: parseExpectedRevision(req.get('If-Match') ?? req.body.expectedRevision)
+        });
+
+        res.set('ETag', `"${project.revision}"`);
+        return res.status(200).json({
+            project,
+            snapshot,
+            message: 'Snapshot restored successfully'
+        });
+
+    } catch (err) {
+        console.error('Restore snapshot error:', err);
+        sendSnapshotError(res, err);
+    }
+};
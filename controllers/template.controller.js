@@ -0,0 +1,163 @@
+import * as templateService from '../services/template.service.js';
+import userModel from '../models/user.model.js';
+import { sendValidationErrors, validatedQuery } from '../middleware/validation.middleware.js';
+
+const sendTemplateError = (res, err) => {
+    if (err.message.includes('not a member')) {
+        return res.status(403).json({
+            error: err.message,
+            type: 'access_denied'
+        });
+    }
+
+    if (err.message.includes('Only the template author') ||
+        err.message.includes('Only the project owner') ||
+        err.message.includes('permission') ||
+        err.message.includes('Built-in')) {
+        return res.status(403).json({
+            error: err.message,
+            type: 'permission_denied'
+        });
+    }
+
+    if (err.message.endsWith('not found')) {
+        return res.status(404).json({ error: err.message });
+    }
+
+    return res.status(400).json({ error: err.message });
+};
+
+const loadUser = async (req, res) => {
+    const loggedInUser = await userModel.findOne({ email: req.user.email });
+
+    if (!loggedInUser) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+
+    return loggedInUser;
+};
+
+/**
+ * Built-in, public and own templates (?mine=true for only the caller's)
+ */
+export const listTemplates = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const templates = await templateService.listTemplates({
+            userId: loggedInUser._id,
+            mine: validatedQuery(req).mine === true
+        });
+
+        return res.status(200).json({ templates });
+
+    } catch (err) {
+        console.error('List templates error:', err);
+        sendTemplateError(res, err);
+    }
+};
+
+/**
+ * A single template including its file tree
+ */
+export const getTemplate = async (req, res) => {
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const template = await templateService.getTemplate({
+            templateId: req.params.templateId,
+            userId: loggedInUser._id
+        });
+
+        return res.status(200).json({ template });
+
+    } catch (err) {
+        console.error('Get template error:', err);
+        sendTemplateError(res, err);
+    }
+};
+
+/**
+ * Publish a project's current files as a template
+ */
+export const publishTemplate = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const { projectId, name, description, visibility } = req.body;
+
+        const template = await templateService.publishTemplate({
+            projectId,
+            userId: loggedInUser._id,
+            name,
+            description,
+            visibility
+        });
+
+        return res.status(201).json({
+            template,
+            message: 'Template published'
+        });
+
+    } catch (err) {
+        console.error('Publish template error:', err);
+        sendTemplateError(res, err);
+    }
+};
+
+/**
+ * Rename, describe or change the visibility of an own template
+ */
+export const updateTemplate = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        const { name, description, visibility } = req.body;
+
+        const template = await templateService.updateTemplate({
+            templateId: req.params.templateId,
+            userId: loggedInUser._id,
+            name,
+            description,
+            visibility
+        });
+
+        return res.status(200).json({
+            template,
+            message: 'Template updated'
+        });
+
+    } catch (err) {
+        console.error('Update template error:', err);
+        sendTemplateError(res, err);
+    }
+};
+
+export const deleteTemplate = async (req, res) => {
+    try {
+        const loggedInUser = await loadUser(req, res);
+        if (!loggedInUser) return;
+
+        await templateService.deleteTemplate({
+            templateId: req.params.templateId,
+            userId: loggedInUser._id
+        });
+
+        return res.status(200).json({ message: 'Template deleted' });
+
+    } catch (err) {
+        console.error('Delete template error:', err);
+        sendTemplateError(res, err);
+    }
+};
@@ -1,17 +1,53 @@
 import userModel from '../models/user.model.js';
 import * as userService from '../services/user.service.js';
-import { validationResult } from 'express-validator';
 import redisClient from '../services/redis.service.js';
+import * as sessionService from '../services/session.service.js';
+import * as accessTokenService from '../services/accessToken.service.js';
+import { sendValidationErrors } from '../middleware/validation.middleware.js';
 
-export const createUserController = async (req, res) => {
-    const errors = validationResult(req);
+const REFRESH_COOKIE = 'refreshToken';
+
+const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    path: '/users',
+    maxAge: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000
+});
+
+const clientInfo = (req) => ({
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+});
+
+// Start a session and hand out its tokens (refresh token also as an httpOnly cookie)
+const startSession = async (req, res, user) => {
+    const { accessToken, refreshToken, expiresIn } = await sessionService.createSession({ user, ...clientInfo(req) });
+    res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions());
+    return { token: accessToken, refreshToken, expiresIn };
+};
 
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ 
-            errors: errors.array(),
-            message: errors.array()[0].msg 
+const sendSessionError = (res, err) => {
+    if (err.errorType) {
+        res.clearCookie(REFRESH_COOKIE, { ...refreshCookieOptions(), maxAge: undefined });
+        return res.status(401).json({
+            message: err.message,
+            errorType: err.errorType
         });
     }
+
+    if (err.message === 'Session not found') {
+        return res.status(404).json({ message: err.message, errorType: 'session_not_found' });
+    }
+
+    return res.status(400).json({
+        message: err.message,
+        errorType: 'server_error'
+    });
+};
+
+export const createUserController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
     
     try {
         const { email } = req.body;
@@ -27,7 +63,11 @@ export const createUserController = async (req, res) => {
         }
 
         const user = await userService.createUser(req.body);
-        const token = await user.generateJWT();
+        const tokens = await startSession(req, res, user);
+
+        // The account works right away; a failed email can be re-requested later
+        userService.requestEmailVerification({ userId: user._id })
+            .catch(error => console.log('Verification email error:', error.message));
 
         // Convert to plain object and remove password
         const userObject = user.toObject();
@@ -35,7 +75,7 @@ export const createUserController = async (req, res) => {
 
         res.status(201).json({ 
             user: userObject, 
-            token,
+            ...tokens,
             message: 'Account created successfully'
         });
     } catch (error) {
@@ -57,14 +97,7 @@ export const createUserController = async (req, res) => {
 }
 
 export const loginController = async (req, res) => {
-    const errors = validationResult(req);
-
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ 
-            errors: errors.array(),
-            message: errors.array()[0].msg 
-        });
-    }
+    if (sendValidationErrors(req, res)) return;
 
     try {
         const { email, password } = req.body;
@@ -89,7 +122,7 @@ export const loginController = async (req, res) => {
             });
         }
 
-        const token = await user.generateJWT();
+        const tokens = await startSession(req, res, user);
 
         // Convert to plain object and remove password
         const userObject = user.toObject();
@@ -97,7 +130,7 @@ export const loginController = async (req, res) => {
 
         res.status(200).json({ 
             user: userObject, 
-            token,
+            ...tokens,
             message: 'Login successful'
         });
 
@@ -138,11 +171,17 @@ export const logoutController = async (req, res) => {
     try {
         const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
 
-        if (token) {
-            // Blacklist token in Redis
+        if (req.user.sid) {
+            await sessionService.revokeSession({ userId: req.user._id, sessionId: req.user.sid })
+                .catch(error => console.log('Logout session error:', error.message));
+            req.app.get('io')?.in(`session:${req.user.sid}`).disconnectSockets(true);
+        } else if (token) {
+            // Tokens issued before sessions existed: blacklist in Redis
             await redisClient.set(token, 'logout', 'EX', 60 * 60 * 24);
         }
 
+        res.clearCookie(REFRESH_COOKIE, { ...refreshCookieOptions(), maxAge: undefined });
+
         res.status(200).json({
             message: 'Logged out successfully'
         });
@@ -183,3 +222,368 @@ export const getAllUsersController = async (req, res) => {
         });
     }
 }
+
+export const refreshTokenController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const refreshToken = req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+    try {
+        if (!refreshToken) {
+            return res.status(401).json({
+                message: 'Refresh token is required',
+                errorType: 'invalid_refresh_token'
+            });
+        }
+
+        const result = await sessionService.refreshSession({ refreshToken, ...clientInfo(req) });
+
+        res.cookie(REFRESH_COOKIE, result.refreshToken, refreshCookieOptions());
+
+        res.status(200).json({
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+        });
+
+    } catch (err) {
+        console.log('Refresh error:', err.message);
+
+        if (err.errorType === 'refresh_token_reuse') {
+            req.app.get('io')?.in(`session:${refreshToken.split('.')[0]}`).disconnectSockets(true);
+        }
+
+        sendSessionError(res, err);
+    }
+}
+
+export const getSessionsController = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions({
+            userId: req.user._id,
+            currentSessionId: req.user.sid
+        });
+
+        res.status(200).json({ sessions });
+
+    } catch (err) {
+        console.log('Get sessions error:', err);
+        sendSessionError(res, err);
+    }
+}
+
+export const revokeSessionController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { sessionId } = req.params;
+
+        await sessionService.revokeSession({ userId: req.user._id, sessionId });
+
+        // Close live socket connections opened with that session
+        req.app.get('io')?.in(`session:${sessionId}`).disconnectSockets(true);
+
+        res.status(200).json({
+            message: 'Session revoked',
+            current: sessionId === req.user.sid
+        });
+
+    } catch (err) {
+        console.log('Revoke session error:', err.message);
+        sendSessionError(res, err);
+    }
+}
+
+export const logoutEverywhereController = async (req, res) => {
+    try {
+        const keepCurrent = req.body?.keepCurrent === true;
+
+        const revoked = await sessionService.revokeAllSessions({
+            userId: req.user._id,
+            exceptSessionId: keepCurrent ? req.user.sid : undefined
+        });
+
+        const io = req.app.get('io');
+        revoked.forEach(sessionId => io?.in(`session:${sessionId}`).disconnectSockets(true));
+
+        if (!keepCurrent) {
+            res.clearCookie(REFRESH_COOKIE, { ...refreshCookieOptions(), maxAge: undefined });
+        }
+
+        res.status(200).json({
+            message: keepCurrent ? 'Logged out of all other sessions' : 'Logged out everywhere',
+            revokedCount: revoked.length
+        });
+
+    } catch (err) {
+        console.log('Logout everywhere error:', err);
+        sendSessionError(res, err);
+    }
+}
+
+const sendAccountTokenError = (res, err) => {
+    if (err.errorType || err.message === 'This link is invalid.') {
+        return res.status(400).json({
+            message: err.message,
+            errorType: err.errorType || 'invalid_token'
+        });
+    }
+
+    return res.status(500).json({
+        message: err.message,
+        errorType: 'server_error'
+    });
+};
+
+export const requestEmailVerificationController = async (req, res) => {
+    try {
+        const user = await userService.requestEmailVerification({ userId: req.user._id });
+
+        res.status(200).json({
+            message: `Verification email sent to ${user.email}`
+        });
+
+    } catch (err) {
+        console.log('Request verification error:', err.message);
+
+        if (err.message === 'Email is already verified') {
+            return res.status(409).json({ message: err.message, errorType: 'already_verified' });
+        }
+
+        if (err.message === 'User not found') {
+            return res.status(404).json({ message: err.message, errorType: 'user_not_found' });
+        }
+
+        sendAccountTokenError(res, err);
+    }
+}
+
+export const confirmEmailVerificationController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const user = await userService.confirmEmailVerification({ token: req.body.token });
+
+        res.status(200).json({
+            user,
+            message: 'Email verified'
+        });
+
+    } catch (err) {
+        console.log('Confirm verification error:', err.message);
+        sendAccountTokenError(res, err);
+    }
+}
+
+export const requestPasswordResetController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        await userService.requestPasswordReset({ email: req.body.email });
+    } catch (err) {
+        // Same answer either way, so the response never reveals whether the account exists
+        console.log('Request password reset error:', err.message);
+    }
+
+    res.status(200).json({
+        message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+}
+
+export const confirmPasswordResetController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const user = await userService.confirmPasswordReset({
+            token: req.body.token,
+            password: req.body.password
+        });
+
+        // Every session was revoked; close their sockets too
+        req.app.get('io')?.in(user._id.toString()).disconnectSockets(true);
+
+        res.status(200).json({
+            message: 'Password updated. Please log in with your new password.'
+        });
+
+    } catch (err) {
+        console.log('Confirm password reset error:', err.message);
+        sendAccountTokenError(res, err);
+    }
+}
+
+export const createAccessTokenController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        const { token, accessToken } = await accessTokenService.createAccessToken({
+            userId: req.user._id,
+            name,
+            scopes,
+            expiresInDays
+        });
+
+        res.status(201).json({
+            accessToken,
+            token,
+            message: 'Copy this token now; it will not be shown again.'
+        });
+
+    } catch (err) {
+        console.log('Create access token error:', err.message);
+        res.status(400).json({
+            message: err.message,
+            errorType: 'invalid_request'
+        });
+    }
+}
+
+export const getAccessTokensController = async (req, res) => {
+    try {
+        const accessTokens = await accessTokenService.listAccessTokens({ userId: req.user._id });
+
+        res.status(200).json({ accessTokens });
+
+    } catch (err) {
+        console.log('Get access tokens error:', err);
+        res.status(500).json({
+            message: 'Failed to fetch access tokens',
+            errorType: 'server_error'
+        });
+    }
+}
+
+export const revokeAccessTokenController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        await accessTokenService.revokeAccessToken({
+            userId: req.user._id,
+            tokenId: req.params.tokenId
+        });
+
+        res.status(200).json({ message: 'Access token revoked' });
+
+    } catch (err) {
+        console.log('Revoke access token error:', err.message);
+
+        if (err.message === 'Access token not found') {
+            return res.status(404).json({ message: err.message, errorType: 'token_not_found' });
+        }
+
+        res.status(400).json({
+            message: err.message,
+            errorType: 'invalid_request'
+        });
+    }
+}
+
+const sendAccountChangeError = (res, err) => {
+    if (err.message === 'Current password is incorrect') {
+        return res.status(401).json({ message: err.message, errorType: 'invalid_credentials' });
+    }
+
+    if (err.message === 'User not found') {
+        return res.status(404).json({ message: err.message, errorType: 'user_not_found' });
+    }
+
+    if (err.message.includes('already exists')) {
+        return res.status(400).json({ message: err.message, errorType: 'duplicate_email' });
+    }
+
+    return res.status(400).json({ message: err.message, errorType: 'invalid_request' });
+};
+
+export const changePasswordController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        await userService.changePassword({
+            userId: req.user._id,
+            currentPassword: req.body.currentPassword,
+            newPassword: req.body.newPassword,
+            currentSessionId: req.user.sid
+        });
+
+        res.status(200).json({
+            message: 'Password changed. Your other sessions have been signed out.'
+        });
+
+    } catch (err) {
+        console.log('Change password error:', err.message);
+        sendAccountChangeError(res, err);
+    }
+}
+
+export const changeEmailController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const user = await userService.changeEmail({
+            userId: req.user._id,
+            newEmail: req.body.newEmail,
+            password: req.body.password,
+            currentSessionId: req.user.sid
+        });
+
+        const userObject = user.toObject();
+        delete userObject.password;
+
+        // The old access token names the old address, so hand out a new one
+        res.status(200).json({
+            user: userObject,
+            token: sessionService.issueAccessToken(user, req.user.sid),
+            message: `Email changed. We sent a verification link to ${user.email}.`
+        });
+
+    } catch (err) {
+        console.log('Change email error:', err.message);
+
+        if (err.code === 11000) {
+            return res.status(400).json({
+                message: 'An account with this email already exists',
+                errorType: 'duplicate_email'
+            });
+        }
+
+        sendAccountChangeError(res, err);
+    }
+}
+
+export const deleteAccountController = async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+        const result = await userService.deleteAccount({
+            userId: req.user._id,
+            password: req.body.password,
+            projectActions: req.body.projectActions
+        });
+
+        const io = req.app.get('io');
+
+        result.transferredProjects.forEach(({ projectId, newOwnerId }) => {
+            io?.to(projectId).emit('project-owner-changed', { projectId, ownerId: newOwnerId, previousOwnerId: req.user._id });
+        });
+        result.deletedProjects.forEach(projectId => {
+            io?.to(projectId).emit('project-deleted', { projectId });
+        });
+        result.leftProjects.forEach(projectId => {
+            io?.to(projectId).emit('project-member-left', { projectId, userId: req.user._id });
+        });
+        io?.in(req.user._id.toString()).disconnectSockets(true);
+
+        res.clearCookie(REFRESH_COOKIE, { ...refreshCookieOptions(), maxAge: undefined });
+
+        res.status(200).json({
+            ...result,
+            message: 'Your account has been deleted'
+        });
+
+    } catch (err) {
+        console.log('Delete account error:', err.message);
+        sendAccountChangeError(res, err);
+    }
+}
@@ -1,7 +1,15 @@
 import jwt from "jsonwebtoken";
 import redisClient from "../services/redis.service.js";
+import * as sessionService from "../services/session.service.js";
+import * as accessTokenService from "../services/accessToken.service.js";
+import userModel from "../models/user.model.js";
 
 export const authUser = async (req, res, next) => {
+    // Already authenticated earlier in the chain (e.g. at the router mount)
+    if (req.user) {
+        return next();
+    }
+
     try {
         const authHeader = req.headers.authorization;
         const token =
@@ -14,6 +22,25 @@ export const authUser = async (req, res, next) => {
             return res.status(401).json({ error: "Unauthorized User" });
         }
 
+        // Personal access token: same identity shape as a JWT, plus the token's scopes
+        if (accessTokenService.isAccessToken(token)) {
+            const authenticated = await accessTokenService.authenticateAccessToken(token);
+
+            if (!authenticated) {
+                return res.status(401).json({ error: "Invalid or expired access token", errorType: "invalid_access_token" });
+            }
+
+            const { user, accessToken } = authenticated;
+            req.user = {
+                _id: user._id.toString(),
+                email: user.email,
+                emailVerified: Boolean(user.emailVerified),
+                scopes: accessToken.scopes,
+                tokenId: accessToken._id.toString()
+            };
+            return next();
+        }
+
         const isBlackListed = await redisClient.get(token);
         if (isBlackListed) {
             res.clearCookie("token", {
@@ -25,10 +52,85 @@ export const authUser = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Tokens from a login session stop working as soon as the session is revoked
+        if (decoded.sid) {
+            if (await sessionService.isSessionRevoked(decoded.sid)) {
+                return res.status(401).json({ error: "Session has been revoked", errorType: "session_revoked" });
+            }
+
+            sessionService.touchSession(decoded.sid)
+                .catch(error => console.error("Session touch error:", error.message));
+        }
+
         req.user = decoded;
         next();
     } catch (error) {
+        if (error.name === "TokenExpiredError") {
+            // Clients should call /users/refresh and retry
+            return res.status(401).json({ error: "Access token expired", errorType: "token_expired" });
+        }
+
         console.error(error);
         return res.status(401).json({ error: "Unauthorized User" });
     }
 };
+
+export const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+/**
+ * With REQUIRE_EMAIL_VERIFICATION=true, blocks users who haven't verified their email.
+ * Use after authUser.
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+    if (!isEmailVerificationRequired() || req.user?.emailVerified) {
+        return next();
+    }
+
+    try {
+        // The token may predate verification, so check the current state
+        const user = await userModel.findOne({ email: req.user.email }).select("emailVerified");
+
+        if (!user?.emailVerified) {
+            return res.status(403).json({
+                error: "Please verify your email address first",
+                errorType: "email_not_verified"
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ error: "Failed to check email verification" });
+    }
+};
+
+/**
+ * Limit a route to personal access tokens that carry `scope`. Use after authUser;
+ * logged-in sessions are not restricted.
+ */
+export const requireScope = (scope) => (req, res, next) => {
+    if (accessTokenService.hasScope(req.user?.scopes, scope)) {
+        return next();
+    }
+
+    return res.status(403).json({
+        error: `This access token is missing the "${scope}" scope`,
+        errorType: "insufficient_scope",
+        requiredScope: scope
+    });
+};
+
+/**
+ * Account security routes (sessions, tokens, logout) need an interactive login
+ */
+export const requireSession = (req, res, next) => {
+    if (!req.user?.tokenId) {
+        return next();
+    }
+
+    return res.status(403).json({
+        error: "Personal access tokens can't be used for this action",
+        errorType: "session_required"
+    });
+};
@@ -0,0 +1,34 @@
+import multer from 'multer';
+
+const DEFAULT_MAX_ZIP_BYTES = 10 * 1024 * 1024;
+
+export const getMaxZipBytes = () => parseInt(process.env.IMPORT_MAX_ZIP_BYTES, 10) || DEFAULT_MAX_ZIP_BYTES;
+
+/**
+ * Accept a single zip upload in memory under `field`.
+ * Oversized uploads get 413, other upload problems 400.
+ */
+export const uploadZip = (field = 'file') => (req, res, next) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: getMaxZipBytes(), files: 1 },
+        fileFilter: (req, file, callback) => {
+            const isZip = /\.zip$/i.test(file.originalname) ||
+                [ 'application/zip', 'application/x-zip-compressed' ].includes(file.mimetype);
+            callback(isZip ? null : new Error('Only .zip files can be imported'), isZip);
+        }
+    }).single(field);
+
+    upload(req, res, (err) => {
+        if (!err) return next();
+
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                error: `Archive must not exceed ${getMaxZipBytes()} bytes`,
+                type: 'payload_too_large'
+            });
+        }
+
+        return res.status(400).json({ error: err.message });
+    });
+};
@@ -0,0 +1,31 @@
+import { validationResult, matchedData } from 'express-validator';
+
+/**
+ * Answer 400 with the express-validator errors, if any.
+ * Returns true when a response was sent: `if (sendValidationErrors(req, res)) return;`
+ */
+export const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            errors: errors.array(),
+            message: errors.array()[0].msg
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Query parameters as sanitized by the route's validators (toInt, toBoolean, ...).
+ * Express 5 re-parses req.query on every access, so sanitizers can't write back
+ * to it; read sanitized query values through here instead.
+ */
+export const validatedQuery = (req) => matchedData(req, { locations: [ 'query' ] });
+
+export default {
+    sendValidationErrors,
+    validatedQuery
+};
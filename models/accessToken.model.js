@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// A write scope includes the matching read scope (see hasScope in accessToken.service.js)
+export const TOKEN_SCOPES = [
+    'projects:read',
+    'projects:write',
+    'files:read',
+    'files:write',
+    'ai:use',
+    'user:read',
+    'user:write'
+];
+
+const accessTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+        immutable: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: [ 100, 'Token name must not be longer than 100 characters' ]
+    },
+    // Only a SHA-256 hash of the token is stored; it is shown once on creation
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // First characters of the token so users can tell their tokens apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [ { type: String, enum: TOKEN_SCOPES } ],
+        validate: [ scopes => scopes.length > 0, 'At least one scope is required' ]
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+accessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+accessTokenSchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt.getTime() > Date.now());
+};
+
+const AccessToken = mongoose.model('accessToken', accessTokenSchema);
+
+export default AccessToken;
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+export const ACTIVITY_ACTIONS = [
+    'project.created',
+    'project.forked',
+    'project.deleted',
+    'member.added',
+    'member.removed',
+    'member.left',
+    'member.role_changed',
+    'files.updated',
+    'ownership.transferred',
+    'ownership.transfer_requested',
+    'ownership.transfer_declined',
+    'ownership.transfer_cancelled',
+    'ai.settings_updated',
+    'ai.invoked'
+];
+
+export const ACTIVITY_TARGET_KINDS = ['project', 'user', 'files', 'ai'];
+
+const activitySchema = new mongoose.Schema({
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'project',
+        required: true,
+        immutable: true
+    },
+    // Null for changes the system makes on its own
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        default: null
+    },
+    action: {
+        type: String,
+        enum: ACTIVITY_ACTIONS,
+        required: true
+    },
+    // What the action was done to; label is kept so the entry still reads well
+    // after the user or project is gone
+    target: {
+        kind: {
+            type: String,
+            enum: ACTIVITY_TARGET_KINDS,
+            required: true
+        },
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        label: {
+            type: String,
+            default: null
+        }
+    },
+    metadata: {
+        type: Object,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+activitySchema.index({ project: 1, _id: -1 });
+activitySchema.index({ project: 1, action: 1, _id: -1 });
+activitySchema.index({ project: 1, actor: 1, _id: -1 });
+
+const Activity = mongoose.model('activity', activitySchema);
+
+export default Activity;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { MEMBER_ROLES } from './project.model.js';
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+const invitationSchema = new mongoose.Schema({
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'project',
+        required: true,
+        immutable: true
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        enum: MEMBER_ROLES,
+        default: 'editor'
+    },
+    inviter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    // Only a SHA-256 hash of the emailed token is stored
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    status: {
+        type: String,
+        enum: INVITATION_STATUSES,
+        default: 'pending'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ email: 1, status: 1 });
+// One open invitation per email and project
+invitationSchema.index(
+    { project: 1, email: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+invitationSchema.methods.isExpired = function() {
+    return this.expiresAt.getTime() <= Date.now();
+};
+
+const Invitation = mongoose.model('invitation', invitationSchema);
+
+export default Invitation;
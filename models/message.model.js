@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'project',
+        required: true,
+        immutable: true
+    },
+    // Null for AI replies
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        default: null
+    },
+    isAi: {
+        type: Boolean,
+        default: false
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    fileTree: {
+        type: Object,
+        default: undefined
+    },
+    buildCommand: {
+        type: Object,
+        default: undefined
+    },
+    startCommand: {
+        type: Object,
+        default: undefined
+    },
+    error: {
+        type: Boolean,
+        default: false
+    },
+    errorType: {
+        type: String,
+        default: undefined
+    }
+}, {
+    timestamps: true
+});
+
+messageSchema.index({ project: 1, _id: -1 });
+
+const Message = mongoose.model('message', messageSchema);
+
+export default Message;
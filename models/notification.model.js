@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+    'project.added',
+    'project.removed',
+    'project.role_changed',
+    'project.owner_changed',
+    'project.deleted',
+    'chat.mention'
+];
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+        immutable: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    // Kept after the project is deleted; projectName still says which one it was
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'project',
+        default: null
+    },
+    projectName: {
+        type: String,
+        default: null
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        default: null
+    },
+    text: {
+        type: String,
+        required: true,
+        maxLength: 500
+    },
+    data: {
+        type: Object,
+        default: {}
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ recipient: 1, _id: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model('notification', notificationSchema);
+
+export default Notification;
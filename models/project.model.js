@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+// Ordered from least to most privileged
+export const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+export const MEMBER_ROLES = ['viewer', 'editor'];
+
 const projectSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -8,20 +12,131 @@ const projectSchema = new mongoose.Schema({
         trim: true,
         unique: true,
     },
+    // Only changed through assignOwner in project.service.js
     owner: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'user',
         required: true,
         immutable: true
     },
+    // Ownership offered to a member who has not accepted yet
+    pendingOwnershipTransfer: {
+        type: new mongoose.Schema({
+            to: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'user',
+                required: true
+            },
+            requestedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'user',
+                required: true
+            },
+            previousOwnerRole: {
+                type: String,
+                enum: MEMBER_ROLES,
+                default: 'editor'
+            },
+            requestedAt: {
+                type: Date,
+                default: Date.now
+            },
+            expiresAt: {
+                type: Date,
+                required: true
+            }
+        }, { _id: false }),
+        default: undefined
+    },
+    ownershipHistory: [{
+        _id: false,
+        from: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'user'
+        },
+        to: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'user'
+        },
+        reason: {
+            type: String,
+            enum: [ 'transfer', 'account_deleted' ],
+            default: 'transfer'
+        },
+        transferredAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     users: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'user'
     }],
+    // Roles for non-owner members; the owner's role is derived from `owner`
+    memberRoles: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'user',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: MEMBER_ROLES,
+            default: 'editor'
+        }
+    }],
     fileTree: {
         type: Object,
         default: {}
     },
+    // Template the project started from (built-in slug or template ObjectId)
+    template: {
+        type: String,
+        default: null
+    },
+    // Source of a fork; project is null once the source has been deleted
+    forkedFrom: {
+        type: new mongoose.Schema({
+            project: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'project'
+            },
+            name: String,
+            revision: Number,
+            forkedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }, { _id: false }),
+        default: undefined
+    },
+    // Bumped on every file tree write; exposed to clients as the ETag
+    revision: {
+        type: Number,
+        default: 0
+    },
+    // Per-project overrides of the AI provider chain; unset fields use the server config
+    aiSettings: {
+        providers: {
+            type: [String],
+            default: undefined
+        },
+        models: {
+            type: Map,
+            of: String,
+            default: undefined
+        },
+        temperature: {
+            type: Number,
+            min: 0,
+            max: 2
+        },
+        maxOutputTokens: {
+            type: Number,
+            min: 1
+        }
+    },
 }, {
     timestamps: true
 });
@@ -30,18 +145,47 @@ projectSchema.index({ name: 1 }, { unique: true });
 projectSchema.index({ owner: 1 });
 projectSchema.index({ users: 1 });
 
+// Works for both raw ObjectIds and populated user documents
+const toIdString = (value) => (value && value._id ? value._id : value).toString();
+
 projectSchema.methods.isOwner = function(userId) {
-    return this.owner.toString() === userId.toString();
+    return toIdString(this.owner) === toIdString(userId);
 };
 
 // FIXED: Include owner in membership check
 projectSchema.methods.isMember = function(userId) {
     // Check if user is owner OR in users array
-    const isOwner = this.owner.toString() === userId.toString();
-    const isInUsers = this.users.some(user => user.toString() === userId.toString());
+    const isOwner = this.isOwner(userId);
+    const isInUsers = this.users.some(user => toIdString(user) === toIdString(userId));
     return isOwner || isInUsers;
 };
 
+// Members added before roles existed have no entry and keep full edit access
+projectSchema.methods.getRole = function(userId) {
+    if (this.isOwner(userId)) {
+        return 'owner';
+    }
+
+    if (!this.isMember(userId)) {
+        return null;
+    }
+
+    const entry = this.memberRoles.find(member => toIdString(member.user) === toIdString(userId));
+    return entry ? entry.role : 'editor';
+};
+
+projectSchema.methods.hasRole = function(userId, minimumRole) {
+    const role = this.getRole(userId);
+    if (!role) {
+        return false;
+    }
+    return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimumRole);
+};
+
+projectSchema.methods.canEdit = function(userId) {
+    return this.hasRole(userId, 'editor');
+};
+
 const Project = mongoose.model('project', projectSchema);
 
 export default Project;
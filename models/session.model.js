@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// How many rotated-out refresh token hashes are remembered for reuse detection
+export const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+        immutable: true
+    },
+    // Only SHA-256 hashes of refresh tokens are stored
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hashes of tokens already rotated out; presenting one again means it was stolen
+    previousTokenHashes: {
+        type: [ String ],
+        default: [],
+        select: false
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    device: {
+        type: String,
+        default: 'Unknown device'
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+const Session = mongoose.model('session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const snapshotSchema = new mongoose.Schema({
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'project',
+        required: true,
+        immutable: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+    fileTree: {
+        type: Object,
+        default: {}
+    },
+    // Project revision this snapshot's tree corresponds to
+    revision: {
+        type: Number,
+        default: null
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxLength: [ 200, 'Snapshot message must not exceed 200 characters' ]
+    },
+    restoredFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'snapshot',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+snapshotSchema.index({ project: 1, createdAt: -1 });
+snapshotSchema.index({ project: 1, revision: 1 });
+
+const Snapshot = mongoose.model('snapshot', snapshotSchema);
+
+export default Snapshot;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const TEMPLATE_VISIBILITIES = ['private', 'public'];
+
+// User-published templates; the built-in ones live in services/templates
+const templateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: [ 3, 'Template name must be at least 3 characters long' ],
+        maxlength: [ 60, 'Template name must not exceed 60 characters' ]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [ 500, 'Template description must not exceed 500 characters' ],
+        default: ''
+    },
+    fileTree: {
+        type: Object,
+        default: {}
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+        immutable: true
+    },
+    // Private templates are only offered to their author
+    visibility: {
+        type: String,
+        enum: TEMPLATE_VISIBILITIES,
+        default: 'private'
+    },
+    sourceProject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'project',
+        default: null
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+templateSchema.index({ visibility: 1, usageCount: -1 });
+templateSchema.index({ author: 1, createdAt: -1 });
+
+const Template = mongoose.model('template', templateSchema);
+
+export default Template;
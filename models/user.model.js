@@ -16,6 +16,16 @@ const userSchema = new mongoose.Schema({
     password: {
         type: String,
         select: false,
+    },
+
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+
+    emailVerifiedAt: {
+        type: Date,
+        default: null
     }
 })
 
@@ -28,15 +38,19 @@ userSchema.methods.isValidPassword = async function (password) {
 }
 
 // FIXED: Include _id in JWT payload
-userSchema.methods.generateJWT = function () {
-    return jwt.sign(
-        { 
-            _id: this._id.toString(),
-            email: this.email 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-    );
+// Access tokens issued for a login session carry its id as `sid` (see session.service.js)
+userSchema.methods.generateJWT = function (sessionId, expiresIn = '24h') {
+    const payload = {
+        _id: this._id.toString(),
+        email: this.email,
+        emailVerified: Boolean(this.emailVerified)
+    };
+
+    if (sessionId) {
+        payload.sid = sessionId.toString();
+    }
+
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 }
 
 const User = mongoose.model('user', userSchema);
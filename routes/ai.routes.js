@@ -1,8 +1,45 @@
 import { Router } from 'express';
+import { query } from 'express-validator';
 import * as aiController from '../controllers/ai.controller.js';
+import * as authMiddleWare from '../middleware/auth.middleware.js';
 const router = Router();
 
-router.get('/get-result', aiController.getResult)
+router.get('/get-result',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('ai:use'),
+    query('prompt')
+        .isString().withMessage('Prompt is required')
+        .trim()
+        .notEmpty().withMessage('Prompt is required'),
+    query('bypassCache')
+        .optional()
+        .isBoolean().withMessage('bypassCache must be true or false')
+        .toBoolean(),
+    aiController.getResult
+)
+
+router.get('/providers',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('ai:use'),
+    aiController.getProviders
+)
+
+// Current AI consumption and limits for the logged-in user (and optionally a project)
+router.get('/usage',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('ai:use'),
+    query('projectId')
+        .optional()
+        .isMongoId().withMessage('Invalid project ID format'),
+    aiController.getUsage
+)
+
+// Response cache hit/miss statistics
+router.get('/cache/stats',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('ai:use'),
+    aiController.getCacheStats
+)
 
 
 export default router;
\ No newline at end of file
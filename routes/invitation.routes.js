@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import { body, oneOf } from 'express-validator';
+import * as invitationController from '../controllers/invitation.controller.js';
+import * as authMiddleWare from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+const invitationReference = oneOf([
+    body('token')
+        .isString().isLength({ min: 64, max: 64 }),
+    body('invitationId')
+        .isMongoId()
+], { message: 'A valid token or invitationId is required' });
+
+// Pending invitations for the logged-in user
+router.get('/',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
+    invitationController.listMyInvitations
+);
+
+// Accept an invitation
+router.post('/accept',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    invitationReference,
+    invitationController.acceptInvitation
+);
+
+// Decline an invitation
+router.post('/decline',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    invitationReference,
+    invitationController.declineInvitation
+);
+
+export default router;
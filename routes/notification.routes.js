@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import * as notificationController from '../controllers/notification.controller.js';
+import * as authMiddleWare from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Notifications for the logged-in user, newest first
+router.get('/',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('user:read'),
+    [
+        query('unread')
+            .optional()
+            .isBoolean().withMessage('unread must be a boolean')
+            .toBoolean(),
+        query('cursor')
+            .optional()
+            .isMongoId().withMessage('Invalid cursor format'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    notificationController.listNotifications
+);
+
+router.get('/unread-count',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('user:read'),
+    notificationController.getUnreadCount
+);
+
+// Mark every notification read
+router.post('/read-all',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('user:write'),
+    notificationController.markAllRead
+);
+
+// Mark one notification read
+router.post('/:notificationId/read',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('user:write'),
+    [
+        param('notificationId')
+            .isMongoId().withMessage('Invalid notification ID format')
+    ],
+    notificationController.markRead
+);
+
+export default router;
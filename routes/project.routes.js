@@ -1,32 +1,65 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import * as projectController from '../controllers/project.controller.js';
+import * as messageController from '../controllers/message.controller.js';
+import * as snapshotController from '../controllers/snapshot.controller.js';
+import * as fileController from '../controllers/file.controller.js';
+import * as invitationController from '../controllers/invitation.controller.js';
+import * as activityController from '../controllers/activity.controller.js';
 import * as authMiddleWare from '../middleware/auth.middleware.js';
+import { uploadZip } from '../middleware/upload.middleware.js';
+import { MEMBER_ROLES } from '../models/project.model.js';
+import { INVITATION_STATUSES } from '../models/invitation.model.js';
+import { ACTIVITY_ACTIONS } from '../models/activity.model.js';
+import { MAX_QUERY_LENGTH, MAX_CONTEXT_LINES } from '../services/search.service.js';
 
 const router = Router();
 
 // Create new project
 router.post('/create',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
     [
         body('name')
             .trim()
             .notEmpty().withMessage('Name is required')
             .isLength({ min: 3 }).withMessage('Name must be at least 3 characters long')
-            .isLength({ max: 50 }).withMessage('Name must not exceed 50 characters')
+            .isLength({ max: 50 }).withMessage('Name must not exceed 50 characters'),
+        body('templateId')
+            .optional()
+            .isString().withMessage('Template ID must be a string')
+            .trim()
+            .notEmpty().withMessage('Template ID must not be empty')
     ],
     projectController.createProject
 );
 
+// Create a new project from an uploaded zip
+router.post('/import',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    uploadZip('file'),
+    [
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 3 }).withMessage('Name must be at least 3 characters long')
+            .isLength({ max: 50 }).withMessage('Name must not exceed 50 characters')
+    ],
+    projectController.importProject
+);
+
 // Get all projects for logged-in user
 router.get('/all',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
     projectController.getAllProject
 );
 
-// Add users to project (collaborators)
+// Invite users to project (collaborators join once they accept)
 router.put('/add-user',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
     [
         body('projectId')
             .notEmpty().withMessage('Project ID is required')
@@ -34,7 +67,12 @@ router.put('/add-user',
         body('users')
             .isArray({ min: 1 }).withMessage('Users must be an array with at least one user')
             .custom((users) => users.every(user => typeof user === 'string'))
-            .withMessage('Each user must be a string')
+            .withMessage('Each user must be a string'),
+        body('users.*')
+            .isMongoId().withMessage('Invalid user ID format'),
+        body('role')
+            .optional()
+            .isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
     ],
     projectController.addUserToProject
 );
@@ -42,6 +80,7 @@ router.put('/add-user',
 // Remove user from project
 router.put('/remove-user',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
     [
         body('projectId')
             .notEmpty().withMessage('Project ID is required')
@@ -53,21 +92,47 @@ router.put('/remove-user',
     projectController.removeUserFromProject
 );
 
+// Change a member's role (owner only)
+router.put('/update-role',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        body('projectId')
+            .notEmpty().withMessage('Project ID is required')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('userId')
+            .notEmpty().withMessage('User ID is required')
+            .isMongoId().withMessage('Invalid user ID format'),
+        body('role')
+            .isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+    ],
+    projectController.updateMemberRole
+);
+
 // Get specific project by ID
 router.get('/get-project/:projectId',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
     projectController.getProjectById
 );
 
 // Update file tree
 router.put('/update-file-tree',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:write'),
     [
         body('projectId')
             .notEmpty().withMessage('Project ID is required')
             .isMongoId().withMessage('Invalid project ID format'),
         body('fileTree')
-            .isObject().withMessage('File tree must be an object')
+            .isObject().withMessage('File tree must be an object'),
+        body('message')
+            .optional()
+            .isString().withMessage('Message must be a string')
+            .isLength({ max: 200 }).withMessage('Message must not exceed 200 characters'),
+        body('expectedRevision')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Expected revision must be a non-negative integer')
     ],
     projectController.updateFileTree
 );
@@ -75,12 +140,395 @@ router.put('/update-file-tree',
 // Search users by email for adding collaborators
 router.get('/search-users/:projectId',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
     projectController.searchUsersByEmail
 );
 
+// Get chat history (cursor pagination, members only)
+router.get('/:projectId/messages',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('cursor')
+            .optional()
+            .isMongoId().withMessage('Invalid cursor format'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    messageController.getProjectMessages
+);
+
+// List file tree snapshots
+router.get('/:projectId/snapshots',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('cursor')
+            .optional()
+            .isMongoId().withMessage('Invalid cursor format'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    snapshotController.listSnapshots
+);
+
+// Per-file diff between two snapshots ("to" may be "current")
+router.get('/:projectId/snapshots/diff',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('from')
+            .isMongoId().withMessage('Invalid "from" snapshot ID'),
+        query('to')
+            .custom(value => value === 'current' || /^[a-f\d]{24}$/i.test(value))
+            .withMessage('"to" must be a snapshot ID or "current"')
+    ],
+    snapshotController.diffSnapshots
+);
+
+// Get a single snapshot including its file tree
+router.get('/:projectId/snapshots/:snapshotId',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        param('snapshotId')
+            .isMongoId().withMessage('Invalid snapshot ID format')
+    ],
+    snapshotController.getSnapshot
+);
+
+// Restore a snapshot as the current file tree (owner/editor)
+router.post('/:projectId/snapshots/:snapshotId/restore',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        param('snapshotId')
+            .isMongoId().withMessage('Invalid snapshot ID format'),
+        body('message')
+            .optional()
+            .isString().withMessage('Message must be a string')
+            .isLength({ max: 200 }).withMessage('Message must not exceed 200 characters')
+    ],
+    snapshotController.restoreSnapshot
+);
+
+// Copy a project into a new one owned by the caller
+router.post('/:projectId/fork',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 3 }).withMessage('Name must be at least 3 characters long')
+            .isLength({ max: 50 }).withMessage('Name must not exceed 50 characters')
+    ],
+    projectController.forkProject
+);
+
+// Download the project's files as a zip
+router.get('/:projectId/export',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format')
+    ],
+    projectController.exportProject
+);
+
+// Read a single file or list a directory
+router.get('/:projectId/files',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('path')
+            .isString().notEmpty().withMessage('File path is required')
+    ],
+    fileController.readFile
+);
+
+// Search file paths and contents
+router.get('/:projectId/search',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('q')
+            .isString().notEmpty().withMessage('Search query is required')
+            .isLength({ max: MAX_QUERY_LENGTH }).withMessage(`Search query must not exceed ${MAX_QUERY_LENGTH} characters`),
+        query('regex')
+            .optional()
+            .isBoolean().withMessage('regex must be a boolean')
+            .toBoolean(),
+        query('caseSensitive')
+            .optional()
+            .isBoolean().withMessage('caseSensitive must be a boolean')
+            .toBoolean(),
+        query('contextLines')
+            .optional()
+            .isInt({ min: 0, max: MAX_CONTEXT_LINES }).withMessage(`contextLines must be between 0 and ${MAX_CONTEXT_LINES}`)
+            .toInt(),
+        query('cursor')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Invalid cursor format'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    fileController.searchFiles
+);
+
+// Create a file or directory
+router.post('/:projectId/files',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('path')
+            .isString().notEmpty().withMessage('File path is required'),
+        body('type')
+            .optional()
+            .isIn([ 'file', 'directory' ]).withMessage('Type must be "file" or "directory"'),
+        body('contents')
+            .optional()
+            .isString().withMessage('Contents must be a string')
+    ],
+    fileController.createFile
+);
+
+// Update a single file's contents
+router.put('/:projectId/files',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('path')
+            .isString().notEmpty().withMessage('File path is required'),
+        body('contents')
+            .isString().withMessage('Contents must be a string')
+    ],
+    fileController.updateFile
+);
+
+// Rename or move a file or directory
+router.patch('/:projectId/files/move',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('from')
+            .isString().notEmpty().withMessage('Source path is required'),
+        body('to')
+            .isString().notEmpty().withMessage('Destination path is required')
+    ],
+    fileController.moveFile
+);
+
+// Delete a file or directory
+router.delete('/:projectId/files',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('files:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('path')
+            .isString().notEmpty().withMessage('File path is required')
+    ],
+    fileController.deleteFile
+);
+
+// Hand the project to a member (owner only); requireConfirmation waits for them to accept
+router.post('/:projectId/transfer-ownership',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('newOwnerId')
+            .notEmpty().withMessage('New owner ID is required')
+            .isMongoId().withMessage('Invalid user ID format'),
+        body('requireConfirmation')
+            .optional()
+            .isBoolean().withMessage('requireConfirmation must be a boolean')
+            .toBoolean(),
+        body('previousOwnerRole')
+            .optional()
+            .isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+    ],
+    projectController.transferOwnership
+);
+
+router.post('/:projectId/transfer-ownership/accept',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format')
+    ],
+    projectController.acceptOwnershipTransfer
+);
+
+router.post('/:projectId/transfer-ownership/decline',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format')
+    ],
+    projectController.declineOwnershipTransfer
+);
+
+router.delete('/:projectId/transfer-ownership',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format')
+    ],
+    projectController.cancelOwnershipTransfer
+);
+
+// Override the AI provider chain for this project (owner only)
+router.put('/:projectId/ai-settings',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('providers')
+            .optional({ values: 'null' })
+            .isArray({ max: 10 }).withMessage('providers must be an array of provider names'),
+        body('providers.*')
+            .isString().withMessage('Provider names must be strings')
+            .trim()
+            .toLowerCase(),
+        body('models')
+            .optional({ values: 'null' })
+            .isObject().withMessage('models must map provider names to model names'),
+        body('models.*')
+            .isString().withMessage('Model names must be strings')
+            .isLength({ min: 1, max: 200 }).withMessage('Model names must be 1-200 characters'),
+        body('temperature')
+            .optional({ values: 'null' })
+            .isFloat({ min: 0, max: 2 }).withMessage('temperature must be between 0 and 2')
+            .toFloat(),
+        body('maxOutputTokens')
+            .optional({ values: 'null' })
+            .isInt({ min: 1, max: 1000000 }).withMessage('maxOutputTokens must be a positive integer')
+            .toInt()
+    ],
+    projectController.updateAiSettings
+);
+
+// Activity feed; action may be repeated or comma-separated
+router.get('/:projectId/activity',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('action')
+            .optional()
+            .customSanitizer(value => (Array.isArray(value) ? value : [ value ]).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))
+            .custom(actions => actions.every(action => ACTIVITY_ACTIONS.includes(action)))
+            .withMessage(`Action must be one of: ${ACTIVITY_ACTIONS.join(', ')}`),
+        query('actorId')
+            .optional()
+            .isMongoId().withMessage('Invalid actor ID format'),
+        query('targetId')
+            .optional()
+            .isMongoId().withMessage('Invalid target ID format'),
+        query('since')
+            .optional()
+            .isISO8601().withMessage('since must be an ISO 8601 date'),
+        query('until')
+            .optional()
+            .isISO8601().withMessage('until must be an ISO 8601 date'),
+        query('cursor')
+            .optional()
+            .isMongoId().withMessage('Invalid cursor format'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    activityController.listActivity
+);
+
+// Who is online and which file they have open
+router.get('/:projectId/presence',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
+    projectController.getProjectPresence
+);
+
+// Invite someone by email (owner only)
+router.post('/:projectId/invitations',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('email')
+            .isEmail().withMessage('Email must be a valid email address'),
+        body('role')
+            .optional()
+            .isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+    ],
+    invitationController.createInvitation
+);
+
+// List a project's invitations (owner only)
+router.get('/:projectId/invitations',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        query('status')
+            .optional()
+            .isIn(INVITATION_STATUSES).withMessage(`Status must be one of: ${INVITATION_STATUSES.join(', ')}`)
+    ],
+    invitationController.listProjectInvitations
+);
+
+// Revoke a pending invitation (owner only)
+router.delete('/:projectId/invitations/:invitationId',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        param('projectId')
+            .isMongoId().withMessage('Invalid project ID format'),
+        param('invitationId')
+            .isMongoId().withMessage('Invalid invitation ID format')
+    ],
+    invitationController.revokeInvitation
+);
+
 // Delete project (owner only)
 router.delete('/delete/:projectId',
     authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
     projectController.deleteProject
 );
 
@@ -0,0 +1,80 @@
+import { Router } from 'express';
+import { body, query } from 'express-validator';
+import * as templateController from '../controllers/template.controller.js';
+import * as authMiddleWare from '../middleware/auth.middleware.js';
+import { TEMPLATE_VISIBILITIES } from '../models/template.model.js';
+
+const router = Router();
+
+const templateDetails = [
+    body('description')
+        .optional()
+        .isString().withMessage('Description must be a string')
+        .trim()
+        .isLength({ max: 500 }).withMessage('Description must not exceed 500 characters'),
+    body('visibility')
+        .optional()
+        .isIn(TEMPLATE_VISIBILITIES).withMessage(`Visibility must be one of: ${TEMPLATE_VISIBILITIES.join(', ')}`)
+];
+
+// Built-in, public and own templates
+router.get('/',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
+    [
+        query('mine')
+            .optional()
+            .isBoolean().withMessage('mine must be a boolean')
+            .toBoolean()
+    ],
+    templateController.listTemplates
+);
+
+// A template with its file tree
+router.get('/:templateId',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:read'),
+    templateController.getTemplate
+);
+
+// Publish a project's files as a template
+router.post('/',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        body('projectId')
+            .notEmpty().withMessage('Project ID is required')
+            .isMongoId().withMessage('Invalid project ID format'),
+        body('name')
+            .optional()
+            .isString().withMessage('Name must be a string')
+            .trim()
+            .isLength({ min: 3, max: 60 }).withMessage('Name must be 3-60 characters long'),
+        ...templateDetails
+    ],
+    templateController.publishTemplate
+);
+
+// Update an own template
+router.patch('/:templateId',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    [
+        body('name')
+            .optional()
+            .isString().withMessage('Name must be a string')
+            .trim()
+            .isLength({ min: 3, max: 60 }).withMessage('Name must be 3-60 characters long'),
+        ...templateDetails
+    ],
+    templateController.updateTemplate
+);
+
+// Delete an own template
+router.delete('/:templateId',
+    authMiddleWare.authUser,
+    authMiddleWare.requireScope('projects:write'),
+    templateController.deleteTemplate
+);
+
+export default router;
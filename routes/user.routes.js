@@ -1,7 +1,8 @@
 import { Router } from 'express';
 import * as userController from '../controllers/user.controller.js';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import * as authMiddleware from '../middleware/auth.middleware.js';
+import { TOKEN_SCOPES } from '../models/accessToken.model.js';
 
 const router = Router();
 
@@ -17,13 +18,94 @@ router.post('/login',
     body('password').isLength({ min: 3 }).withMessage('Password must be at least 3 characters long'),
     userController.loginController);
 
-router.get('/profile', authMiddleware.authUser, userController.profileController);
+router.get('/profile', authMiddleware.authUser, authMiddleware.requireScope('user:read'), userController.profileController);
 
 
-router.get('/logout', authMiddleware.authUser, userController.logoutController);
+router.get('/logout', authMiddleware.authUser, authMiddleware.requireSession, userController.logoutController);
 
 
-router.get('/all', authMiddleware.authUser, userController.getAllUsersController);
+router.get('/all', authMiddleware.authUser, authMiddleware.requireScope('user:read'), userController.getAllUsersController);
+
+// Exchange a refresh token (body or cookie) for new tokens
+router.post('/refresh',
+    body('refreshToken').optional().isString().withMessage('Refresh token must be a string'),
+    userController.refreshTokenController);
+
+// Active login sessions (device, IP, last used)
+router.get('/sessions', authMiddleware.authUser, authMiddleware.requireSession, userController.getSessionsController);
+
+router.delete('/sessions/:sessionId',
+    authMiddleware.authUser,
+    authMiddleware.requireSession,
+    param('sessionId').isMongoId().withMessage('Invalid session ID format'),
+    userController.revokeSessionController);
+
+// Email verification: send a link to the logged-in user, then confirm with its token
+router.post('/verify-email/request', authMiddleware.authUser, authMiddleware.requireSession, userController.requestEmailVerificationController);
+
+router.post('/verify-email/confirm',
+    body('token').isJWT().withMessage('A valid token is required'),
+    userController.confirmEmailVerificationController);
+
+// Password reset: email a link, then set the new password with its token
+router.post('/password-reset/request',
+    body('email').isEmail().withMessage('Email must be a valid email address'),
+    userController.requestPasswordResetController);
+
+router.post('/password-reset/confirm',
+    body('token').isJWT().withMessage('A valid token is required'),
+    body('password').isLength({ min: 3 }).withMessage('Password must be at least 3 characters long'),
+    userController.confirmPasswordResetController);
+
+// Log out everywhere; { keepCurrent: true } keeps the calling session
+router.post('/logout-all',
+    authMiddleware.authUser,
+    authMiddleware.requireSession,
+    body('keepCurrent').optional().isBoolean().withMessage('keepCurrent must be a boolean').toBoolean(),
+    userController.logoutEverywhereController);
+
+// Account management (all require the current password)
+router.put('/password',
+    authMiddleware.authUser,
+    authMiddleware.requireSession,
+    body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 3 }).withMessage('Password must be at least 3 characters long'),
+    userController.changePasswordController);
+
+router.put('/email',
+    authMiddleware.authUser,
+    authMiddleware.requireSession,
+    body('newEmail').isEmail().withMessage('Email must be a valid email address'),
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    userController.changeEmailController);
+
+// Delete the account; projectActions maps owned project ids to a new owner's id or 'delete'
+router.delete('/me',
+    authMiddleware.authUser,
+    authMiddleware.requireSession,
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('projectActions').optional().isObject().withMessage('projectActions must map project ids to a user id or "delete"'),
+    body('projectActions.*').custom(value => value === 'delete' || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('Each project action must be a member\'s user id or "delete"'),
+    userController.deleteAccountController);
+
+// Personal access tokens for scripts and CI (the token is only returned on creation)
+router.post('/tokens',
+    authMiddleware.authUser,
+    authMiddleware.requireSession,
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(TOKEN_SCOPES).withMessage(`Scopes must be any of: ${TOKEN_SCOPES.join(', ')}`),
+    body('expiresInDays').optional({ values: 'null' }).isInt({ min: 1, max: 365 }).withMessage('expiresInDays must be between 1 and 365').toInt(),
+    userController.createAccessTokenController);
+
+router.get('/tokens', authMiddleware.authUser, authMiddleware.requireSession, userController.getAccessTokensController);
+
+router.delete('/tokens/:tokenId',
+    authMiddleware.authUser,
+    authMiddleware.requireSession,
+    param('tokenId').isMongoId().withMessage('Invalid token ID format'),
+    userController.revokeAccessTokenController);
 
 
 export default router;
@@ -7,6 +7,17 @@ import mongoose from 'mongoose';
 import projectModel from './models/project.model.js';
 import userModel from './models/user.model.js';
 import { generateResult } from './services/ai.service.js';
+import * as messageService from './services/message.service.js';
+import * as collabService from './services/collab.service.js';
+import * as presenceService from './services/presence.service.js';
+import * as aiUsageService from './services/aiUsage.service.js';
+import * as sessionService from './services/session.service.js';
+import * as accessTokenService from './services/accessToken.service.js';
+import { setIO } from './services/socket.service.js';
+import { recordActivity } from './services/activity.service.js';
+import { notifyMentions } from './services/notification.service.js';
+import { isEmailVerificationRequired } from './middleware/auth.middleware.js';
+import { extractFileReferences, buildFileContext } from './services/aiContext.service.js';
 
 const port = process.env.PORT || 3000;
 const server = http.createServer(app);
@@ -28,17 +39,67 @@ const io = new Server(server, {
 });
 
 app.set('io', io);
+setIO(io);
+
+// Let editors know their collaborative edits reached the database
+collabService.onPersist(({ projectId, path, revision }) => {
+    io.to(projectId).emit('file-saved', { path, revision });
+});
+
+const fileRoom = (projectId, path) => `${projectId}:file:${path}`;
+
+// The file changed outside the session; clients must reload it and rejoin
+collabService.onSessionEnd(({ projectId, path, reason }) => {
+    const room = fileRoom(projectId, path);
+    io.to(room).emit('file-session-ended', { path, reason });
+    io.in(room).socketsLeave(room);
+});
+
+// Every @ai request ends up in the project's activity feed, whatever the outcome
+const recordAiActivity = (socket, { prompt, ...metadata }) => recordActivity({
+    projectId: socket.roomId,
+    actorId: socket.user._id,
+    action: 'ai.invoked',
+    target: { kind: 'ai' },
+    metadata: { prompt: prompt?.slice(0, 200), ...metadata }
+});
+
+// Sockets opened with a personal access token may only do what its scopes allow
+const checkScope = (socket, scope) => {
+    if (accessTokenService.hasScope(socket.scopes, scope)) {
+        return true;
+    }
+    socket.emit('error', { message: `Access token is missing the "${scope}" scope`, errorType: 'insufficient_scope' });
+    return false;
+};
 
 io.use(async (socket, next) => {
     try {
         const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.split(' ')[1];
         if (!token) return next(new Error('Authentication error: Token missing'));
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        if (!decoded) return next(new Error('Authentication error: Invalid token'));
+        let user;
 
-        const user = await userModel.findOne({ email: decoded.email });
-        if (!user) return next(new Error('User not found'));
+        if (accessTokenService.isAccessToken(token)) {
+            // Personal access token: the socket is limited to the token's scopes
+            const authenticated = await accessTokenService.authenticateAccessToken(token);
+            if (!authenticated) return next(new Error('Authentication error: Invalid or expired access token'));
+
+            user = authenticated.user;
+            socket.scopes = authenticated.accessToken.scopes;
+        } else {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (!decoded) return next(new Error('Authentication error: Invalid token'));
+
+            if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+                return next(new Error('Authentication error: Session revoked'));
+            }
+
+            user = await userModel.findOne({ email: decoded.email });
+            if (!user) return next(new Error('User not found'));
+
+            socket.sessionId = decoded.sid || null;
+        }
 
         socket.user = {
             _id: user._id.toString(),
@@ -47,6 +108,14 @@ io.use(async (socket, next) => {
 
         const projectId = socket.handshake.query.projectId;
         if (projectId && mongoose.Types.ObjectId.isValid(projectId)) {
+            if (isEmailVerificationRequired() && !user.emailVerified) {
+                return next(new Error('Please verify your email address first'));
+            }
+
+            if (!accessTokenService.hasScope(socket.scopes, 'projects:read')) {
+                return next(new Error('Access token is missing the "projects:read" scope'));
+            }
+
             socket.project = await projectModel.findById(projectId).populate('users', 'email');
             if (!socket.project) return next(new Error('Project not found'));
         }
@@ -68,13 +137,45 @@ io.on('connection', socket => {
         console.log(`✅ User ${socket.user.email} joined personal room: ${userRoom}`);
     }
 
+    // Lets session revocation disconnect this socket
+    if (socket.sessionId) {
+        socket.join(`session:${socket.sessionId}`);
+    }
+
     // Join project room if available
     if (socket.project) {
         socket.roomId = socket.project._id.toString();
         socket.join(socket.roomId);
         console.log(`✅ User ${socket.user.email} joined project room: ${socket.roomId}`);
+
+        presenceService.addSocket({ projectId: socket.roomId, socketId: socket.id, user: socket.user })
+            .then(users => io.to(socket.roomId).emit('presence-update', { projectId: socket.roomId, users }))
+            .catch(error => console.error('Presence error:', error.message));
+
+        socket.presenceHeartbeat = setInterval(() => {
+            presenceService.heartbeat({ projectId: socket.roomId, socketId: socket.id })
+                .catch(error => console.error('Presence error:', error.message));
+        }, presenceService.PRESENCE_HEARTBEAT_MS);
     }
 
+    socket.on('presence-focus', async data => {
+        if (!socket.roomId) return;
+
+        try {
+            const users = await presenceService.setFocusedFile({
+                projectId: socket.roomId,
+                socketId: socket.id,
+                path: data?.path
+            });
+
+            if (users) {
+                io.to(socket.roomId).emit('presence-update', { projectId: socket.roomId, users });
+            }
+        } catch (error) {
+            console.error('Presence error:', error.message);
+        }
+    });
+
     socket.on('project-message', async data => {
         try {
             const message = data.message;
@@ -83,50 +184,183 @@ io.on('connection', socket => {
                 return;
             }
 
-            socket.broadcast.to(socket.roomId).emit('project-message', data);
+            if (!socket.roomId) {
+                socket.emit('error', { message: 'Join a project before sending messages' });
+                return;
+            }
+
+            if (!checkScope(socket, 'projects:write')) return;
+            if (message.includes('@ai') && !checkScope(socket, 'ai:use')) return;
+
+            // Re-check on every message so role changes apply without reconnecting
+            const project = await projectModel.findById(socket.roomId).select('owner users memberRoles fileTree aiSettings');
+            if (!project || !project.isMember(socket.user._id)) {
+                socket.emit('error', { message: 'You are not a member of this project' });
+                return;
+            }
+
+            if (!project.canEdit(socket.user._id)) {
+                socket.emit('error', { message: 'Viewers have read-only access to this project' });
+                return;
+            }
+
+            presenceService.touch({ projectId: socket.roomId, socketId: socket.id })
+                .catch(error => console.error('Presence error:', error.message));
+
+            const savedMessage = await messageService.saveUserMessage({
+                projectId: socket.roomId,
+                senderId: socket.user._id,
+                message
+            });
+
+            socket.broadcast.to(socket.roomId).emit('project-message', {
+                ...data,
+                _id: savedMessage._id,
+                createdAt: savedMessage.createdAt
+            });
+
+            notifyMentions({
+                projectId: socket.roomId,
+                senderId: socket.user._id,
+                message,
+                messageId: savedMessage._id
+            });
 
             if (message.includes('@ai')) {
                 io.to(socket.roomId).emit('ai-typing', { isTyping: true });
                 
                 try {
-                    const prompt = message.replace('@ai', '').trim();
+                    const { prompt, paths: referencedPaths } = extractFileReferences(message.replace('@ai', '').trim());
                     if (!prompt) {
+                        const hintMessage = await messageService.saveAiMessage({
+                            projectId: socket.roomId,
+                            result: { text: 'Please provide a prompt after @ai' }
+                        });
                         io.to(socket.roomId).emit('project-message', {
-                            message: 'Please provide a prompt after @ai',
+                            _id: hintMessage._id,
+                            message: hintMessage.message,
                             sender: { _id: 'ai', email: 'AI' }
                         });
                         io.to(socket.roomId).emit('ai-typing', { isTyping: false });
                         return;
                     }
 
-                    const result = await generateResult(prompt);
-                    io.to(socket.roomId).emit('ai-typing', { isTyping: false });
+                    // Chunks and the final reply carry the prompt's id so concurrent requests don't mix
+                    const replyTo = savedMessage._id;
 
-                    if (result.error) {
-                        io.to(socket.roomId).emit('project-message', {
-                            message: result.text,
+                    try {
+                        await aiUsageService.reserveRequest({ userId: socket.user._id, projectId: socket.roomId });
+                    } catch (usageError) {
+                        if (usageError.errorType !== 'usage_limit') throw usageError;
+
+                        // Only the sender needs to know; nothing is saved to the chat
+                        io.to(socket.roomId).emit('ai-typing', { isTyping: false });
+                        const limitReply = {
+                            replyTo,
+                            message: `🚫 ${usageError.message}. Try again in ${usageError.retryAfter}s.`,
                             sender: { _id: 'ai', email: 'AI' },
                             error: true,
-                            errorType: result.errorType
-                        });
+                            errorType: usageError.errorType,
+                            retryAfter: usageError.retryAfter
+                        };
+                        socket.emit('ai-complete', limitReply);
+                        socket.emit('project-message', limitReply);
+                        recordAiActivity(socket, { prompt, messageId: replyTo, status: 'limited', errorType: usageError.errorType });
                         return;
                     }
 
-                    io.to(socket.roomId).emit('project-message', {
-                        message: result.text || JSON.stringify(result),
-                        sender: { _id: 'ai', email: 'AI' },
-                        fileTree: result.fileTree,
-                        buildCommand: result.buildCommand,
-                        startCommand: result.startCommand
+                    // Earlier chat (including AI replies) so follow-up prompts have context
+                    const history = await messageService.getConversationHistory({
+                        projectId: socket.roomId,
+                        before: savedMessage._id
                     });
+
+                    // Current files, so the AI edits the real code instead of inventing it
+                    const { context: fileContext } = buildFileContext({
+                        fileTree: project.fileTree,
+                        prompt,
+                        referencedPaths
+                    });
+
+                    let tokensUsed = 0;
+                    const result = await generateResult(prompt, {
+                        history,
+                        fileContext,
+                        fileTree: project.fileTree,
+                        settings: project.aiSettings,
+                        cacheScope: `project:${socket.roomId}`,
+                        bypassCache: data.bypassCache === true,
+                        onUsage: usage => { tokensUsed += (usage.promptTokens || 0) + (usage.completionTokens || 0); },
+                        onChunk: update => io.to(socket.roomId).emit('ai-chunk', { replyTo, ...update })
+                    });
+                    io.to(socket.roomId).emit('ai-typing', { isTyping: false });
+
+                    aiUsageService.recordTokens({ userId: socket.user._id, projectId: socket.roomId, tokens: tokensUsed })
+                        .catch(error => console.error('AI usage error:', error.message));
+
+                    recordAiActivity(socket, {
+                        prompt,
+                        messageId: replyTo,
+                        status: result.error ? 'failed' : 'completed',
+                        responseType: result.type,
+                        errorType: result.errorType,
+                        cached: Boolean(result.cached),
+                        tokens: tokensUsed
+                    });
+
+                    const aiMessage = await messageService.saveAiMessage({
+                        projectId: socket.roomId,
+                        result
+                    });
+
+                    const reply = result.error
+                        ? {
+                            _id: aiMessage._id,
+                            replyTo,
+                            message: result.text,
+                            sender: { _id: 'ai', email: 'AI' },
+                            error: true,
+                            errorType: result.errorType,
+                            validationErrors: result.validationErrors
+                        }
+                        : {
+                            _id: aiMessage._id,
+                            replyTo,
+                            message: aiMessage.message,
+                            sender: { _id: 'ai', email: 'AI' },
+                            fileTree: result.fileTree,
+                            buildCommand: result.buildCommand,
+                            startCommand: result.startCommand,
+                            cached: Boolean(result.cached)
+                        };
+
+                    // Streaming clients finalize on ai-complete; project-message keeps
+                    // older clients working (both share _id for de-duplication)
+                    io.to(socket.roomId).emit('ai-complete', reply);
+                    io.to(socket.roomId).emit('project-message', reply);
                 } catch (aiError) {
                     console.error('AI Generation Error:', aiError.message);
                     io.to(socket.roomId).emit('ai-typing', { isTyping: false });
-                    io.to(socket.roomId).emit('project-message', {
-                        message: 'Sorry, I encountered an error processing your request.',
+                    recordAiActivity(socket, { prompt: message.replace('@ai', '').trim(), messageId: savedMessage._id, status: 'failed', errorType: 'unknown' });
+
+                    const errorText = 'Sorry, I encountered an error processing your request.';
+                    const errorMessage = await messageService.saveAiMessage({
+                        projectId: socket.roomId,
+                        result: { text: errorText, error: true }
+                    }).catch(saveError => {
+                        console.error('Failed to save AI error message:', saveError.message);
+                        return null;
+                    });
+
+                    const errorReply = {
+                        _id: errorMessage?._id,
+                        replyTo: savedMessage._id,
+                        message: errorText,
                         sender: { _id: 'ai', email: 'AI' },
                         error: true
-                    });
+                    };
+                    io.to(socket.roomId).emit('ai-complete', errorReply);
+                    io.to(socket.roomId).emit('project-message', errorReply);
                 }
             }
         } catch (error) {
@@ -135,8 +369,96 @@ io.on('connection', socket => {
         }
     });
 
-    socket.on('disconnect', () => {
+    // Collaborative editing: join a file, then exchange OT operations
+    socket.on('file-join', async data => {
+        try {
+            if (!socket.roomId) {
+                socket.emit('error', { message: 'Join a project before opening files' });
+                return;
+            }
+
+            if (!checkScope(socket, 'files:read')) return;
+
+            const state = await collabService.joinFile({
+                projectId: socket.roomId,
+                path: data?.path,
+                socketId: socket.id,
+                user: socket.user
+            });
+
+            socket.join(fileRoom(socket.roomId, state.path));
+            socket.emit('file-state', state);
+            socket.to(fileRoom(socket.roomId, state.path)).emit('file-participants', {
+                path: state.path,
+                participants: state.participants
+            });
+        } catch (error) {
+            console.error('File join error:', error.message);
+            socket.emit('file-error', { path: data?.path, message: error.message });
+        }
+    });
+
+    socket.on('file-operation', async data => {
+        try {
+            if (!checkScope(socket, 'files:write')) return;
+
+            const result = await collabService.applyOperation({
+                projectId: socket.roomId,
+                path: data?.path,
+                socketId: socket.id,
+                revision: data?.revision,
+                operation: data?.operation
+            });
+
+            socket.emit('file-operation-ack', { path: result.path, revision: result.revision });
+            presenceService.touch({ projectId: socket.roomId, socketId: socket.id })
+                .catch(error => console.error('Presence error:', error.message));
+            socket.to(fileRoom(socket.roomId, result.path)).emit('file-operation', {
+                ...result,
+                user: socket.user
+            });
+        } catch (error) {
+            socket.emit('file-error', { path: data?.path, message: error.message });
+        }
+    });
+
+    socket.on('file-leave', async data => {
+        try {
+            const result = await collabService.leaveFile({
+                projectId: socket.roomId,
+                path: data?.path,
+                socketId: socket.id
+            });
+
+            if (result) {
+                socket.leave(fileRoom(socket.roomId, result.path));
+                io.to(fileRoom(socket.roomId, result.path)).emit('file-participants', result);
+            }
+        } catch (error) {
+            socket.emit('file-error', { path: data?.path, message: error.message });
+        }
+    });
+
+    socket.on('disconnect', async () => {
         console.log(`Socket disconnected: ${socket.id}`);
+
+        try {
+            const closedFiles = await collabService.leaveAllFiles({ socketId: socket.id });
+            closedFiles.forEach(({ projectId, path, participants }) => {
+                io.to(fileRoom(projectId, path)).emit('file-participants', { path, participants });
+            });
+        } catch (error) {
+            console.error('Collaborative session cleanup error:', error.message);
+        }
+
+        clearInterval(socket.presenceHeartbeat);
+
+        if (socket.roomId) {
+            presenceService.removeSocket({ projectId: socket.roomId, socketId: socket.id })
+                .then(users => io.to(socket.roomId).emit('presence-update', { projectId: socket.roomId, users }))
+                .catch(error => console.error('Presence error:', error.message));
+        }
+
         if (socket.roomId) {
             socket.leave(socket.roomId);
         }
@@ -148,16 +470,18 @@ io.on('connection', socket => {
     socket.on('error', error => console.error('Socket error:', error.message));
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('SIGTERM received, closing server gracefully...');
+    await collabService.flushAll();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
     });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('SIGINT received, closing server gracefully...');
+    await collabService.flushAll();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
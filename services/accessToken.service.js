@@ -0,0 +1,131 @@
+import accessTokenModel, { TOKEN_SCOPES } from '../models/accessToken.model.js';
+import userModel from '../models/user.model.js';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/*
+ * Personal access tokens for scripts and CI. A token looks like
+ * "csp_<random>" and is sent like a JWT (Authorization: Bearer ...).
+ * Requests made with one are limited to the token's scopes.
+ */
+
+export const TOKEN_PREFIX = 'csp_';
+const MAX_TOKENS_PER_USER = 50;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Whether granted scopes allow `required`. Session logins have no scope list and may do anything.
+ */
+export const hasScope = (grantedScopes, required) => {
+    if (!grantedScopes) return true;
+    if (grantedScopes.includes(required)) return true;
+
+    const [ resource, action ] = required.split(':');
+    return action === 'read' && grantedScopes.includes(`${resource}:write`);
+};
+
+export const createAccessToken = async ({ userId, name, scopes, expiresInDays }) => {
+    if (!userId || !name) {
+        throw new Error('userId and name are required');
+    }
+
+    const uniqueScopes = [ ...new Set(scopes || []) ];
+
+    if (uniqueScopes.length === 0 || uniqueScopes.some(scope => !TOKEN_SCOPES.includes(scope))) {
+        throw new Error(`Invalid scopes. Must be one or more of: ${TOKEN_SCOPES.join(', ')}`);
+    }
+
+    const activeCount = await accessTokenModel.countDocuments({ user: userId, revokedAt: null });
+
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+        throw new Error(`You can have at most ${MAX_TOKENS_PER_USER} access tokens`);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+    const accessToken = await accessTokenModel.create({
+        user: userId,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: uniqueScopes,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return { token, accessToken };
+};
+
+export const listAccessTokens = async ({ userId }) => {
+    if (!userId) {
+        throw new Error('userId is required');
+    }
+
+    return await accessTokenModel
+        .find({ user: userId, revokedAt: null })
+        .sort({ createdAt: -1 });
+};
+
+export const revokeAccessToken = async ({ userId, tokenId }) => {
+    if (!userId || !tokenId) {
+        throw new Error('userId and tokenId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(tokenId)) {
+        throw new Error('Invalid tokenId');
+    }
+
+    const accessToken = await accessTokenModel.findOneAndUpdate(
+        { _id: tokenId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!accessToken) {
+        throw new Error('Access token not found');
+    }
+
+    return accessToken;
+};
+
+/**
+ * Resolve a presented token to its user and scopes, or null when it is
+ * unknown, revoked or expired
+ */
+export const authenticateAccessToken = async (token) => {
+    if (!isAccessToken(token)) {
+        return null;
+    }
+
+    const accessToken = await accessTokenModel.findOne({ tokenHash: hashToken(token) });
+
+    if (!accessToken || !accessToken.isActive()) {
+        return null;
+    }
+
+    const user = await userModel.findById(accessToken.user);
+
+    if (!user) {
+        return null;
+    }
+
+    if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        accessTokenModel.updateOne({ _id: accessToken._id }, { $set: { lastUsedAt: new Date() } })
+            .catch(error => console.error('Access token usage error:', error.message));
+    }
+
+    return { user, accessToken };
+};
+
+export default {
+    TOKEN_PREFIX,
+    isAccessToken,
+    hasScope,
+    createAccessToken,
+    listAccessTokens,
+    revokeAccessToken,
+    authenticateAccessToken
+};
@@ -0,0 +1,84 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import redisClient from './redis.service.js';
+
+/*
+ * Signed, expiring, single-use tokens for account emails (email verification,
+ * password reset). They are JWTs signed with a key derived from JWT_SECRET, so
+ * they can never be mistaken for access tokens, and each carries a jti that is
+ * burned in Redis when the token is used.
+ */
+
+export const TOKEN_PURPOSES = {
+    verifyEmail: 'verify-email',
+    resetPassword: 'reset-password'
+};
+
+const signingKey = () => crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update('account-tokens')
+    .digest('hex');
+
+const usedKey = (jti) => `account-token:used:${jti}`;
+
+const createTokenError = (message, errorType = 'invalid_token') => {
+    const error = new Error(message);
+    error.errorType = errorType;
+    return error;
+};
+
+/**
+ * Sign a token for one purpose. `claims` are returned unchanged by consumeAccountToken.
+ */
+export const issueAccountToken = ({ userId, purpose, ttlSeconds, claims = {} }) => {
+    if (!userId || !Object.values(TOKEN_PURPOSES).includes(purpose)) {
+        throw new Error('userId and a valid purpose are required');
+    }
+
+    return jwt.sign(
+        { ...claims, purpose },
+        signingKey(),
+        {
+            subject: userId.toString(),
+            expiresIn: ttlSeconds,
+            jwtid: crypto.randomBytes(16).toString('hex')
+        }
+    );
+};
+
+/**
+ * Verify a token and mark it used. Throws an error with errorType
+ * 'invalid_token', 'token_expired' or 'token_used'.
+ */
+export const consumeAccountToken = async (token, purpose) => {
+    let payload;
+
+    try {
+        payload = jwt.verify(token, signingKey());
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw createTokenError('This link has expired. Please request a new one.', 'token_expired');
+        }
+        throw createTokenError('This link is invalid.');
+    }
+
+    if (payload.purpose !== purpose || !payload.jti || !payload.sub) {
+        throw createTokenError('This link is invalid.');
+    }
+
+    // Keep the marker until the token would have expired anyway
+    const ttl = Math.max(1, payload.exp - Math.floor(Date.now() / 1000));
+    const firstUse = await redisClient.set(usedKey(payload.jti), '1', 'EX', ttl, 'NX');
+
+    if (!firstUse) {
+        throw createTokenError('This link has already been used.', 'token_used');
+    }
+
+    return payload;
+};
+
+export default {
+    TOKEN_PURPOSES,
+    issueAccountToken,
+    consumeAccountToken
+};
@@ -0,0 +1,114 @@
+import activityModel from '../models/activity.model.js';
+import projectModel from '../models/project.model.js';
+import userModel from '../models/user.model.js';
+import { emitToRoom } from './socket.service.js';
+import mongoose from 'mongoose';
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Append an entry to a project's activity feed and push it to the project room.
+ * Recording is best effort: failures are logged and never break the action itself.
+ * target: { kind, id?, label? }; user targets without a label get their email.
+ */
+export const recordActivity = async ({ projectId, actorId = null, action, target, metadata = {} }) => {
+    try {
+        let label = target?.label ?? null;
+
+        if (!label && target?.kind === 'user' && target.id) {
+            const user = await userModel.findById(target.id).select('email');
+            label = user?.email ?? null;
+        }
+
+        const activity = await activityModel.create({
+            project: projectId,
+            actor: actorId,
+            action,
+            target: { kind: target?.kind || 'project', id: target?.id ?? null, label },
+            metadata
+        });
+
+        await activity.populate('actor', 'email');
+
+        emitToRoom(projectId, 'project-activity', activity.toObject());
+
+        return activity;
+    } catch (error) {
+        console.error('Activity log error:', error.message);
+        return null;
+    }
+};
+
+/**
+ * A project's activity, newest first. Filters: action (one or many),
+ * actorId, targetId, since/until dates. Pages by the last entry's id.
+ * Once a project is deleted, only the owner who deleted it can read its feed.
+ */
+export const listActivity = async ({ projectId, userId, action, actorId, targetId, since, until, cursor, limit }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId).select('owner users');
+
+    if (!project) {
+        const deletedByUser = await activityModel.exists({ project: projectId, action: 'project.deleted', actor: userId });
+
+        if (!deletedByUser) {
+            throw new Error('Project not found');
+        }
+    } else if (!project.isMember(userId)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+        throw new Error('Invalid cursor');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const query = { project: projectId };
+
+    if (action) {
+        const actions = Array.isArray(action) ? action : [ action ];
+        query.action = { $in: actions };
+    }
+
+    if (actorId) query.actor = actorId;
+    if (targetId) query['target.id'] = targetId;
+
+    if (since || until) {
+        query.createdAt = {};
+        if (since) query.createdAt.$gte = new Date(since);
+        if (until) query.createdAt.$lte = new Date(until);
+    }
+
+    if (cursor) {
+        query._id = { $lt: cursor };
+    }
+
+    const activities = await activityModel
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .populate('actor', 'email');
+
+    const hasMore = activities.length > pageSize;
+    const page = activities.slice(0, pageSize);
+
+    return {
+        activities: page,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+        hasMore
+    };
+};
+
+export default {
+    recordActivity,
+    listActivity
+};
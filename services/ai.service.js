@@ -1,13 +1,7 @@
-import Groq from "groq-sdk";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-// Initialize Groq (PRIMARY - FAST & HIGH QUOTA)
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
-
-// Initialize Gemini (BACKUP)
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_KEY);
+import { createStreamParser } from "./aiStream.service.js";
+import { resolveProviderChain } from "./aiProvider.service.js";
+import { parseAndValidate } from "./aiSchema.service.js";
+import * as aiCache from "./aiCache.service.js";
 
 // System instruction for the AI
 const SYSTEM_INSTRUCTION = `You are a Workspace AI Assistant integrated into a collaborative web application.
@@ -96,92 +90,293 @@ IMPORTANT NOTES:
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Default cap on history tokens per request; keeps Groq's per-minute token quota in reach
+const DEFAULT_HISTORY_TOKEN_BUDGET = 6000;
+const SUMMARY_SHARE = 0.2;
+const SUMMARY_LINE_CHARS = 160;
+
+// Rough estimate (~4 characters per token) that works for both tokenizers
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
 /**
- * Generate AI response using Groq (PRIMARY)
+ * Every provider in the fallback chain can receive the same conversation,
+ * so history is budgeted against the smallest window in the chain.
  */
-async function generateWithGroq(prompt) {
-  try {
-    console.log("🚀 Using Groq AI (fast & high quota)");
-    
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: SYSTEM_INSTRUCTION
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      model: "llama-3.3-70b-versatile", // Best quality for coding
-      // Alternative faster model: "llama-3.1-8b-instant"
-      temperature: 0.4,
-      max_tokens: 8192,
-    });
+const getHistoryBudget = (prompt, fileContext = '', chain = []) => {
+  const configured = parseInt(process.env.AI_HISTORY_TOKEN_BUDGET, 10) || DEFAULT_HISTORY_TOKEN_BUDGET;
+  const smallestWindow = chain.length === 0 ? configured : Math.min(
+    ...chain.map(entry => entry.provider.contextTokens - entry.maxOutputTokens)
+  );
+  const available = smallestWindow - estimateTokens(SYSTEM_INSTRUCTION) - estimateTokens(fileContext) - estimateTokens(prompt);
+  return Math.max(0, Math.min(configured, available));
+};
 
-    const responseText = chatCompletion.choices[0]?.message?.content || "";
-    
-    // Parse JSON response
-    const cleanedText = responseText
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .trim();
-    
-    const parsedResponse = JSON.parse(cleanedText);
-    console.log("✅ Groq response successful");
-    
-    return parsedResponse;
-    
-  } catch (error) {
-    console.error("❌ Groq Error:", error.message);
-    throw error; // Will trigger fallback to Gemini
+const truncateText = (text, maxChars) =>
+  text.length > maxChars ? `${text.slice(0, Math.max(maxChars - 15, 0))}… [truncated]` : text;
+
+/**
+ * One line per turn, newest kept first, for turns that no longer fit verbatim
+ */
+const summarizeTurns = (turns, budget) => {
+  const lines = [];
+  let remaining = budget;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turn = turns[i];
+    let text = turn.content;
+
+    if (turn.role === 'assistant') {
+      try {
+        text = `AI: ${JSON.parse(turn.compactContent || turn.content).text}`;
+      } catch {
+        text = `AI: ${turn.content}`;
+      }
+    }
+
+    const line = `- ${truncateText(text.replace(/\s+/g, ' '), SUMMARY_LINE_CHARS)}`;
+    const cost = estimateTokens(line);
+
+    if (cost > remaining) {
+      lines.unshift(`- (${i + 1} earlier message${i === 0 ? '' : 's'} omitted)`);
+      break;
+    }
+
+    lines.unshift(line);
+    remaining -= cost;
   }
-}
+
+  return lines.join('\n');
+};
 
 /**
- * Generate AI response using Gemini (FALLBACK)
+ * Fit chat history into a token budget. The newest turns are kept verbatim
+ * (falling back to their compact form), and everything older is condensed
+ * into a short summary.
  */
-async function generateWithGemini(prompt) {
+export const fitHistoryToBudget = (history = [], budget) => {
+  const summaryBudget = Math.floor(budget * SUMMARY_SHARE);
+  let remaining = budget - summaryBudget;
+  const kept = [];
+  let index = history.length - 1;
+
+  for (; index >= 0; index--) {
+    const turn = history[index];
+    const fullCost = estimateTokens(turn.content);
+    const compactCost = estimateTokens(turn.compactContent);
+
+    if (fullCost <= remaining) {
+      kept.unshift({ role: turn.role, content: turn.content });
+      remaining -= fullCost;
+    } else if (turn.compactContent && compactCost <= remaining) {
+      kept.unshift({ role: turn.role, content: turn.compactContent });
+      remaining -= compactCost;
+    } else {
+      if (kept.length === 0 && remaining > 0) {
+        // Even the latest turn is too long on its own: keep its beginning
+        kept.unshift({ role: turn.role, content: truncateText(turn.compactContent || turn.content, remaining * 4) });
+        remaining = 0;
+        index--;
+      }
+      break;
+    }
+  }
+
+  // Conversations sent to the model should open with a user turn
+  while (kept.length > 0 && kept[0].role === 'assistant') {
+    kept.shift();
+    index++;
+  }
+
+  const older = history.slice(0, index + 1);
+
+  return {
+    history: kept,
+    summary: older.length > 0 ? summarizeTurns(older, summaryBudget + remaining) : ''
+  };
+};
+
+const buildConversationContext = (prompt, history, fileContext = '', chain = []) => {
+  if (!Array.isArray(history) || history.length === 0) {
+    return { history: [], summary: '', fileContext };
+  }
+  return { ...fitHistoryToBudget(history, getHistoryBudget(prompt, fileContext, chain)), fileContext };
+};
+
+const buildSystemInstruction = (context = {}) => {
+  let instruction = SYSTEM_INSTRUCTION;
+
+  if (context.history?.length || context.summary) {
+    instruction += `
+
+CONVERSATION CONTEXT:
+- This is a shared project chat; teammates' messages are prefixed with their email
+- Your earlier replies are included so you can build on them (e.g. "now add auth to that")`;
+  }
+
+  if (context.summary) {
+    instruction += `\n\nSUMMARY OF EARLIER MESSAGES:\n${context.summary}`;
+  }
+
+  if (context.fileContext) {
+    instruction += `
+
+CURRENT PROJECT STATE:
+The project already contains the files below. When changing code, edit these files
+instead of starting from scratch, and return the complete updated contents of every
+file you change in "fileTree".
+
+${context.fileContext}`;
+  }
+
+  return instruction;
+};
+
+// How many times the model may fix a response that fails validation
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 1;
+const MAX_REPORTED_ERRORS = 10;
+
+const createInvalidResponseError = (errors) => {
+  const error = new Error(`AI response failed validation: ${errors.join('; ')}`);
+  error.name = "AiResponseValidationError";
+  error.validationErrors = errors.slice(0, MAX_REPORTED_ERRORS);
+  return error;
+};
+
+const buildRepairPrompt = (errors) => `Your previous response could not be used because it does not match the required JSON format:
+${errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n')}
+
+Reply again to my previous message with ONLY the corrected JSON object, following the response format rules exactly.`;
+
+/**
+ * Stream one completion from a provider and return the raw text
+ * onUsage receives { promptTokens, completionTokens }, estimated when the provider doesn't report them
+ */
+const streamCompletion = async ({ provider, model, temperature, maxOutputTokens }, prompt, context, onChunk, onUsage) => {
+  const parser = createStreamParser(onChunk);
+  const systemInstruction = buildSystemInstruction(context);
+  const history = context.history || [];
+
+  const { usage } = await provider.generate({
+    systemInstruction,
+    history,
+    prompt,
+    model,
+    temperature,
+    maxOutputTokens,
+    onText: (delta) => parser.push(delta)
+  }) || {};
+
+  onUsage?.(usage || {
+    promptTokens: estimateTokens(systemInstruction) + estimateTokens(prompt) +
+      history.reduce((sum, turn) => sum + estimateTokens(turn.content), 0),
+    completionTokens: estimateTokens(parser.text)
+  });
+
+  return parser.text;
+};
+
+/**
+ * Generate an AI response with one provider from the chain
+ * Output that fails schema validation is sent back to the same model with the
+ * validation errors, up to AI_MAX_REPAIR_ATTEMPTS times.
+ * startAttempt() returns the onChunk callback for a fresh stream
+ */
+async function generateWithProvider(entry, prompt, context = {}, { startAttempt, existingFileTree, onUsage }) {
+  const label = entry.provider.label || entry.provider.name;
+  const configuredRepairs = parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS, 10);
+  const maxRepairs = Number.isNaN(configuredRepairs) ? DEFAULT_MAX_REPAIR_ATTEMPTS : Math.max(0, configuredRepairs);
+
   try {
-    console.log("🔄 Falling back to Gemini AI");
-    
-    const model = genAI.getGenerativeModel({
-      model: "gemini-flash-latest",
-      generationConfig: {
-        temperature: 0.4,
-        maxOutputTokens: 8192,
-      },
-      systemInstruction: SYSTEM_INSTRUCTION,
-    });
+    console.log(`🚀 Using ${label} AI (${entry.model})`);
+
+    let responseText = await streamCompletion(entry, prompt, context, startAttempt(), onUsage);
+
+    for (let repair = 0; ; repair++) {
+      const { valid, errors, response } = parseAndValidate(responseText, { existingFileTree });
+
+      if (valid) {
+        console.log(`✅ ${label} response successful${repair > 0 ? ` after ${repair} repair(s)` : ''}`);
+        return response;
+      }
+
+      if (repair >= maxRepairs) {
+        throw createInvalidResponseError(errors);
+      }
+
+      console.warn(`🔧 ${label} response invalid (${errors.length} error(s)), asking for a repair...`);
+
+      const repairContext = {
+        ...context,
+        history: [
+          ...(context.history || []),
+          { role: "user", content: prompt },
+          { role: "assistant", content: responseText }
+        ]
+      };
+      responseText = await streamCompletion(entry, buildRepairPrompt(errors), repairContext, startAttempt(), onUsage);
+    }
 
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-
-    // Parse JSON response
-    const cleanedText = text
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .trim();
-    
-    const parsedResponse = JSON.parse(cleanedText);
-    console.log("✅ Gemini response successful");
-    
-    return parsedResponse;
-    
   } catch (error) {
-    console.error("❌ Gemini Error:", error.message);
-    throw error;
+    console.error(`❌ ${label} Error:`, error.message);
+    throw error; // Will trigger fallback to the next provider
   }
 }
 
 /**
  * Main generate function with automatic fallback
- * Tries Groq first (fast + high quota), falls back to Gemini if needed
+ * Tries each provider of the configured chain in order (see aiProvider.service.js)
+ * options.settings: per-project overrides ({ providers, models, temperature, maxOutputTokens })
+ * options.history: earlier turns as [{ role: 'user' | 'assistant', content, compactContent? }]
+ * options.fileContext: project files to show the model (see aiContext.service.js)
+ * options.fileTree: the project's current file tree, used when validating code responses
+ * options.onUsage: called with { promptTokens, completionTokens } for every completion, including repairs
+ * options.cacheScope: who may share cached answers, e.g. "project:<id>"; without it nothing is cached
+ * options.bypassCache: skip the response cache lookup (a fresh answer still refreshes the cache)
+ * options.onChunk: receives streaming updates ({ textDelta, files, type }); a
+ *   { reset: true } update means a retry/fallback started over and earlier chunks are void
  */
 export const generateResult = async (prompt, options = {}) => {
   const maxRetries = options.maxRetries || 2;
+  const chain = resolveProviderChain(options.settings);
+  const context = buildConversationContext(prompt, options.history, options.fileContext, chain);
+
+  let hasStreamed = false;
+  const onChunk = (update) => {
+    hasStreamed = true;
+    options.onChunk?.(update);
+  };
+  // Each provider attempt starts from scratch; tell the client to discard partial output
+  const startAttempt = () => {
+    if (hasStreamed) {
+      hasStreamed = false;
+      options.onChunk?.({ reset: true });
+    }
+    return onChunk;
+  };
+
+  // Identical prompts in the same situation are answered from the cache (see aiCache.service.js)
+  let cacheHash = null;
+  if (options.cacheScope && typeof prompt === 'string' && prompt.trim() && chain.length > 0 && aiCache.isCacheEnabled()) {
+    cacheHash = aiCache.buildCacheKey({
+      scope: options.cacheScope,
+      prompt,
+      chain,
+      fileContext: context.fileContext,
+      history: context.history,
+      summary: context.summary
+    });
+
+    if (options.bypassCache) {
+      aiCache.recordBypass();
+    } else {
+      const cached = await aiCache.getCachedResponse(cacheHash);
+      if (cached) {
+        console.log("⚡ AI response served from cache");
+        createStreamParser(onChunk).push(JSON.stringify(cached));
+        return { ...cached, cached: true };
+      }
+    }
+  }
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
@@ -190,33 +385,52 @@ export const generateResult = async (prompt, options = {}) => {
         throw new Error('Invalid prompt: prompt must be a non-empty string');
       }
 
-      // Try Groq first (PRIMARY)
-      if (process.env.GROQ_API_KEY) {
+      if (chain.length === 0) {
+        throw new Error('No AI API keys configured');
+      }
+
+      // Walk the chain; the last provider's error decides how we report the failure
+      let lastError;
+      for (const [ index, entry ] of chain.entries()) {
         try {
-          return await generateWithGroq(prompt);
-        } catch (groqError) {
-          console.log("⚠️ Groq failed, trying Gemini...");
-          
-          // If Groq fails, try Gemini (FALLBACK)
-          if (process.env.GOOGLE_AI_KEY) {
-            return await generateWithGemini(prompt);
+          const response = await generateWithProvider(entry, prompt, context, {
+            startAttempt,
+            existingFileTree: options.fileTree,
+            onUsage: options.onUsage
+          });
+
+          if (cacheHash) {
+            await aiCache.cacheResponse(cacheHash, response);
+          }
+
+          return response;
+        } catch (providerError) {
+          lastError = providerError;
+          if (index < chain.length - 1) {
+            console.log(`⚠️ ${entry.provider.label || entry.provider.name} failed, trying ${chain[index + 1].provider.label || chain[index + 1].provider.name}...`);
           }
-          
-          throw groqError;
         }
       }
-      
-      // If no Groq key, use Gemini directly
-      if (process.env.GOOGLE_AI_KEY) {
-        return await generateWithGemini(prompt);
-      }
-      
-      throw new Error('No AI API keys configured');
+
+      throw lastError;
 
     } catch (error) {
       const isLastAttempt = attempt === maxRetries - 1;
       console.error(`AI Generation Error (Attempt ${attempt + 1}/${maxRetries}):`, error.message);
       
+      // Malformed output the model could not repair; retrying the same request rarely helps
+      if (error.validationErrors) {
+        return {
+          type: "chat",
+          text: '⚠️ **Invalid AI Response**\n\n' +
+                'The AI returned a response in an unexpected format and could not correct it.\n' +
+                'Please try again or rephrase your request.',
+          error: true,
+          errorType: 'invalid_response',
+          validationErrors: error.validationErrors
+        };
+      }
+
       // Handle quota/rate limit errors
       if (error.message.includes('quota') || error.message.includes('429') || error.message.includes('rate limit')) {
         if (!isLastAttempt) {
@@ -231,7 +445,7 @@ export const generateResult = async (prompt, options = {}) => {
           text: '🚫 **API Quota Exceeded**\n\n' +
                 'All AI services are currently at their rate limit.\n' +
                 'Please try again in a few minutes.\n\n' +
-                '**Using:** Groq (14,400/day) + Gemini (1,500/day)',
+                `**Using:** ${chain.map(entry => entry.provider.label || entry.provider.name).join(' + ')}`,
           error: true,
           errorType: 'quota'
         };
@@ -242,9 +456,9 @@ export const generateResult = async (prompt, options = {}) => {
         return {
           type: "chat",
           text: '🔑 **API Key Error**\n\n' +
-                'Please check your API keys in the .env file:\n' +
-                '- GROQ_API_KEY\n' +
-                '- GOOGLE_AI_KEY',
+                'Please check your AI provider settings in the .env file:\n' +
+                '- AI_PROVIDERS (fallback order)\n' +
+                '- GROQ_API_KEY / GOOGLE_AI_KEY / AI_OPENAI_API_KEY',
           error: true,
           errorType: 'auth'
         };
@@ -267,16 +481,6 @@ export const generateResult = async (prompt, options = {}) => {
         };
       }
       
-      // Handle JSON parse errors
-      if (error.message.includes('JSON')) {
-        console.warn("⚠️ JSON parse error, returning raw text");
-        return {
-          type: "chat",
-          text: error.message || "AI response was not in proper format",
-          error: false,
-          note: 'Response parsing issue'
-        };
-      }
       
       // If this is the last attempt, return generic error
       if (isLastAttempt) {
@@ -301,5 +505,6 @@ export const generateResult = async (prompt, options = {}) => {
 };
 
 export default {
-  generateResult
+  generateResult,
+  fitHistoryToBudget
 };
@@ -0,0 +1,118 @@
+import redisClient from './redis.service.js';
+import crypto from 'crypto';
+
+/*
+ * Cache of successful AI responses. Entries are keyed by a hash of the scope
+ * (the project or user the answer belongs to), the normalized prompt, the
+ * provider chain (providers, models and parameters), the project files sent
+ * and the chat history sent, so a hit is a response to the same question about
+ * the same code in the same conversation, and never crosses projects.
+ *
+ *   AI_CACHE_TTL_SECONDS - lifetime of an entry (default 3600, 0 disables the cache)
+ */
+
+const DEFAULT_CACHE_TTL_SECONDS = 60 * 60;
+const STATS_KEY = 'ai:cache:stats';
+
+const cacheKey = (hash) => `ai:cache:${hash}`;
+
+export const getCacheTtl = () => {
+    const ttl = parseInt(process.env.AI_CACHE_TTL_SECONDS, 10);
+    return Number.isNaN(ttl) ? DEFAULT_CACHE_TTL_SECONDS : Math.max(0, ttl);
+};
+
+export const isCacheEnabled = () => getCacheTtl() > 0;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Whitespace differences shouldn't make a new question
+const normalizePrompt = (prompt) => prompt.trim().replace(/\s+/g, ' ');
+
+/**
+ * Hash identifying a request: { scope, prompt, chain, fileContext, history, summary }
+ * scope is e.g. "project:<id>"; fileContext, history and summary are what was
+ * actually sent to the model.
+ */
+export const buildCacheKey = ({ scope, prompt, chain = [], fileContext = '', history = [], summary = '' }) => {
+    if (!scope) {
+        throw new Error('A cache scope is required');
+    }
+
+    const material = JSON.stringify({
+        scope,
+        prompt: normalizePrompt(prompt),
+        chain: chain.map(entry => [ entry.provider.name, entry.model, entry.temperature, entry.maxOutputTokens ]),
+        fileContext: sha256(fileContext),
+        history: history.map(turn => [ turn.role, turn.content ]),
+        summary
+    });
+
+    return sha256(material);
+};
+
+const recordStat = (field) => {
+    redisClient.hincrby(STATS_KEY, field, 1)
+        .catch(error => console.error('AI cache stats error:', error.message));
+};
+
+/**
+ * Cached response for a key, or null. Counts a hit or a miss.
+ */
+export const getCachedResponse = async (hash) => {
+    try {
+        const raw = await redisClient.get(cacheKey(hash));
+        recordStat(raw ? 'hits' : 'misses');
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        // A broken cache must never stop the AI from answering
+        console.error('AI cache read error:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Store a response. Error responses (quota, auth, invalid output, ...) are never cached.
+ */
+export const cacheResponse = async (hash, response) => {
+    const ttl = getCacheTtl();
+
+    if (ttl === 0 || !response || response.error || response.errorType) {
+        return false;
+    }
+
+    try {
+        await redisClient.set(cacheKey(hash), JSON.stringify(response), 'EX', ttl);
+        return true;
+    } catch (error) {
+        console.error('AI cache write error:', error.message);
+        return false;
+    }
+};
+
+export const getCacheStats = async () => {
+    const stats = await redisClient.hgetall(STATS_KEY);
+    const hits = Number(stats.hits) || 0;
+    const misses = Number(stats.misses) || 0;
+    const bypassed = Number(stats.bypassed) || 0;
+
+    return {
+        enabled: isCacheEnabled(),
+        ttlSeconds: getCacheTtl(),
+        hits,
+        misses,
+        bypassed,
+        hitRate: hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : 0
+    };
+};
+
+export const recordBypass = () => recordStat('bypassed');
+
+export default {
+    getCacheTtl,
+    isCacheEnabled,
+    buildCacheKey,
+    getCachedResponse,
+    cacheResponse,
+    getCacheStats,
+    recordBypass
+};
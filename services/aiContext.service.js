@@ -0,0 +1,162 @@
+import { flattenFileTree } from './fileTree.service.js';
+
+/*
+ * Selects which project files the AI gets to see for a prompt.
+ * Files referenced explicitly with @file:<path> always come first; the rest of
+ * the budget goes to the whole tree when it fits, or else to the files that
+ * look most relevant to the prompt.
+ */
+
+const DEFAULT_FILE_CONTEXT_TOKEN_BUDGET = 8000;
+const FILE_REFERENCE_PATTERN = /@file:([^\s,;'"`]+)/g;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'add', 'fix', 'make',
+    'please', 'can', 'you', 'how', 'what', 'why', 'does', 'code', 'file', 'files', 'bug',
+    'change', 'update', 'use', 'using', 'should', 'would', 'need', 'want', 'now'
+]);
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const basename = (path) => path.split('/').pop();
+
+/**
+ * Pull @file:<path> references out of a prompt.
+ * The prompt keeps the bare path so the request still reads naturally.
+ */
+export const extractFileReferences = (prompt) => {
+    const paths = [];
+    const cleanedPrompt = prompt.replace(FILE_REFERENCE_PATTERN, (match, path) => {
+        const normalized = path.replace(/^\.?\/+/, '').replace(/[.:]+$/, '');
+        if (!paths.includes(normalized)) {
+            paths.push(normalized);
+        }
+        return normalized;
+    });
+
+    return { prompt: cleanedPrompt, paths };
+};
+
+const promptTerms = (prompt) => [ ...new Set(
+    prompt
+        .toLowerCase()
+        .split(/[^a-z0-9_.-]+/)
+        .filter(term => term.length >= 3 && !STOP_WORDS.has(term))
+) ];
+
+/**
+ * Score how relevant a file is to the prompt: mentions of the file name weigh
+ * most, then matches in the path, then how often prompt terms occur in the contents.
+ */
+const scoreFile = (path, contents, prompt, terms) => {
+    const lowerPath = path.toLowerCase();
+    const lowerPrompt = prompt.toLowerCase();
+    const lowerContents = contents.toLowerCase();
+    let score = 0;
+
+    if (lowerPrompt.includes(basename(lowerPath))) score += 20;
+    if (lowerPrompt.includes(lowerPath)) score += 10;
+
+    for (const term of terms) {
+        if (lowerPath.includes(term)) score += 5;
+
+        let occurrences = 0;
+        let index = lowerContents.indexOf(term);
+        while (index !== -1 && occurrences < 10) {
+            occurrences++;
+            index = lowerContents.indexOf(term, index + term.length);
+        }
+        score += occurrences;
+    }
+
+    return score;
+};
+
+const formatFile = (path, contents) => `--- FILE: ${path} ---\n${contents}\n--- END FILE ---`;
+
+const truncateToTokens = (text, tokens) => {
+    const maxChars = tokens * 4;
+    return text.length > maxChars ? `${text.slice(0, Math.max(maxChars - 40, 0))}\n… [file truncated]` : text;
+};
+
+/**
+ * Build the file context block for a prompt.
+ * Returns { context, includedFiles, missingFiles }; context is '' for an empty tree.
+ */
+export const buildFileContext = ({ fileTree, prompt, referencedPaths = [], budgetTokens }) => {
+    const budget = budgetTokens || parseInt(process.env.AI_FILE_CONTEXT_TOKEN_BUDGET, 10) || DEFAULT_FILE_CONTEXT_TOKEN_BUDGET;
+
+    // Binary files (non-string contents) carry no useful text for the model
+    const files = Object.entries(flattenFileTree(fileTree))
+        .filter(([ , contents ]) => typeof contents === 'string');
+
+    if (files.length === 0) {
+        return { context: '', includedFiles: [], missingFiles: referencedPaths };
+    }
+
+    const fileMap = new Map(files);
+    const listing = `PROJECT FILES:\n${files.map(([ path ]) => `- ${path}`).join('\n')}`;
+    let remaining = budget - estimateTokens(listing);
+
+    const sections = [];
+    const includedFiles = [];
+    const missingFiles = [];
+
+    const include = (path, contents) => {
+        const block = formatFile(path, contents);
+        sections.push(block);
+        includedFiles.push(path);
+        remaining -= estimateTokens(block);
+    };
+
+    // 1. Explicit references, truncated rather than dropped when large
+    for (const path of referencedPaths) {
+        const contents = fileMap.get(path);
+
+        if (contents === undefined) {
+            missingFiles.push(path);
+            continue;
+        }
+
+        if (remaining <= 0) break;
+        include(path, truncateToTokens(contents, remaining));
+    }
+
+    const others = files.filter(([ path ]) => !includedFiles.includes(path));
+    const othersCost = others.reduce((sum, [ path, contents ]) => sum + estimateTokens(formatFile(path, contents)), 0);
+
+    if (othersCost <= remaining) {
+        // 2a. Small project: send everything
+        others.forEach(([ path, contents ]) => include(path, contents));
+    } else {
+        // 2b. Large project: most relevant files first, whole files only
+        const terms = promptTerms(prompt);
+        const ranked = others
+            .map(([ path, contents ]) => ({ path, contents, score: scoreFile(path, contents, prompt, terms) }))
+            .filter(file => file.score > 0)
+            .sort((a, b) => b.score - a.score);
+
+        for (const file of ranked) {
+            if (estimateTokens(formatFile(file.path, file.contents)) <= remaining) {
+                include(file.path, file.contents);
+            }
+        }
+    }
+
+    let context = listing;
+
+    if (sections.length > 0) {
+        context += `\n\nFILE CONTENTS (${includedFiles.length} of ${files.length} files):\n${sections.join('\n\n')}`;
+    }
+
+    if (missingFiles.length > 0) {
+        context += `\n\nReferenced but not found in the project: ${missingFiles.join(', ')}`;
+    }
+
+    return { context, includedFiles, missingFiles };
+};
+
+export default {
+    extractFileReferences,
+    buildFileContext
+};
@@ -0,0 +1,105 @@
+import groqProvider from './providers/groq.provider.js';
+import geminiProvider from './providers/gemini.provider.js';
+import openaiProvider from './providers/openai.provider.js';
+import mockProvider from './providers/mock.provider.js';
+
+/*
+ * Registry of AI providers and the fallback chain built from configuration.
+ *
+ * A provider is { name, label, defaultModel, contextTokens, isConfigured(), generate(request) }
+ * where generate({ systemInstruction, history, prompt, model, temperature, maxOutputTokens, onText })
+ * streams text through onText and resolves to { text, usage? }.
+ *
+ * Configuration (environment):
+ *   AI_PROVIDERS          - fallback order, e.g. "groq,gemini" (default) or "mock"
+ *   AI_<NAME>_MODEL       - model per provider, e.g. AI_GROQ_MODEL=llama-3.1-8b-instant
+ *   AI_TEMPERATURE        - default 0.4
+ *   AI_MAX_OUTPUT_TOKENS  - default 8192
+ * Projects can override all of these through project.aiSettings.
+ */
+
+const DEFAULT_PROVIDER_ORDER = [ 'groq', 'gemini' ];
+const DEFAULT_TEMPERATURE = 0.4;
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+    if (!provider?.name || typeof provider.generate !== 'function' || typeof provider.isConfigured !== 'function') {
+        throw new Error('An AI provider needs a name, isConfigured() and generate(request)');
+    }
+    providers.set(provider.name, provider);
+};
+
+[ groqProvider, geminiProvider, openaiProvider, mockProvider ].forEach(registerProvider);
+
+export const getProvider = (name) => providers.get(name) || null;
+
+export const getProviderNames = () => [ ...providers.keys() ];
+
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const parseNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+const readModelOverride = (models, name) => {
+    if (!models) return undefined;
+    return typeof models.get === 'function' ? models.get(name) : models[name];
+};
+
+/**
+ * Providers in fallback order with the model and generation parameters to use,
+ * skipping providers that are unknown or not configured (e.g. missing API key).
+ * settings is a project's aiSettings and takes precedence over the environment.
+ */
+export const resolveProviderChain = (settings = {}) => {
+    const configuredOrder = parseList(process.env.AI_PROVIDERS);
+    const order = settings?.providers?.length
+        ? settings.providers
+        : (configuredOrder.length ? configuredOrder : DEFAULT_PROVIDER_ORDER);
+
+    const temperature = settings?.temperature ?? parseNumber(process.env.AI_TEMPERATURE, DEFAULT_TEMPERATURE);
+    const maxOutputTokens = settings?.maxOutputTokens ??
+        (parseInt(process.env.AI_MAX_OUTPUT_TOKENS, 10) || DEFAULT_MAX_OUTPUT_TOKENS);
+
+    return [ ...new Set(order) ]
+        .map(name => providers.get(name))
+        .filter(provider => provider && provider.isConfigured())
+        .map(provider => ({
+            provider,
+            model: readModelOverride(settings?.models, provider.name) ||
+                   process.env[`AI_${provider.name.toUpperCase()}_MODEL`] ||
+                   provider.defaultModel,
+            temperature,
+            maxOutputTokens: Math.min(maxOutputTokens, provider.contextTokens)
+        }));
+};
+
+/**
+ * Registered providers and whether each can be used, for settings screens
+ */
+export const describeProviders = () => {
+    const chain = resolveProviderChain().map(entry => entry.provider.name);
+
+    return [ ...providers.values() ].map(provider => ({
+        name: provider.name,
+        label: provider.label || provider.name,
+        defaultModel: process.env[`AI_${provider.name.toUpperCase()}_MODEL`] || provider.defaultModel,
+        contextTokens: provider.contextTokens,
+        configured: provider.isConfigured(),
+        fallbackPosition: chain.includes(provider.name) ? chain.indexOf(provider.name) + 1 : null
+    }));
+};
+
+export default {
+    registerProvider,
+    getProvider,
+    getProviderNames,
+    resolveProviderChain,
+    describeProviders
+};
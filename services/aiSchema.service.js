@@ -0,0 +1,140 @@
+import { parseFilePath } from './fileTree.service.js';
+
+/*
+ * Validates AI responses against the formats SYSTEM_INSTRUCTION asks for:
+ *   { type: 'chat' | 'explanation', text }
+ *   { type: 'code', text, fileTree, buildCommand?, startCommand? }
+ * Errors are short, model-readable sentences so they can be sent back in a repair request.
+ */
+
+export const RESPONSE_TYPES = [ 'chat', 'explanation', 'code' ];
+
+const MAX_TREE_DEPTH = 32;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateCommand = (command, field, errors) => {
+    if (command === undefined || command === null) return;
+
+    if (!isPlainObject(command)) {
+        errors.push(`"${field}" must be an object like { "mainItem": "npm", "commands": ["start"] }`);
+        return;
+    }
+
+    if (typeof command.mainItem !== 'string' || !command.mainItem.trim()) {
+        errors.push(`"${field}.mainItem" must be a non-empty string`);
+    }
+
+    if (!Array.isArray(command.commands) || command.commands.some(item => typeof item !== 'string')) {
+        errors.push(`"${field}.commands" must be an array of strings`);
+    }
+};
+
+const validateTree = (tree, prefix, depth, errors) => {
+    if (depth > MAX_TREE_DEPTH) {
+        errors.push(`"fileTree" is nested too deeply at "${prefix}"`);
+        return;
+    }
+
+    for (const [ name, node ] of Object.entries(tree)) {
+        const path = prefix ? `${prefix}/${name}` : name;
+
+        if (name.includes('/')) {
+            errors.push(`"fileTree" key "${path}" contains "/"; use flat file names or a "directory" node`);
+            continue;
+        }
+
+        try {
+            parseFilePath(path);
+        } catch {
+            errors.push(`"fileTree" key "${path}" is not a valid file name`);
+            continue;
+        }
+
+        if (!isPlainObject(node)) {
+            errors.push(`"fileTree.${path}" must be { "file": { "contents": "..." } } or { "directory": { ... } }`);
+        } else if (isPlainObject(node.directory)) {
+            validateTree(node.directory, path, depth + 1, errors);
+        } else if (!isPlainObject(node.file)) {
+            errors.push(`"fileTree.${path}" must have a "file" or "directory" property`);
+        } else if (typeof node.file.contents !== 'string') {
+            errors.push(`"fileTree.${path}.file.contents" must be a string with the complete file contents`);
+        }
+    }
+};
+
+/**
+ * Check a parsed response. options.existingFileTree is the project's current tree:
+ * package.json may be left out of a code response when the project already has one.
+ * Returns { valid, errors }.
+ */
+export const validateAiResponse = (response, options = {}) => {
+    const errors = [];
+
+    if (!isPlainObject(response)) {
+        return { valid: false, errors: [ 'The response must be a single JSON object' ] };
+    }
+
+    if (!RESPONSE_TYPES.includes(response.type)) {
+        errors.push(`"type" must be one of: ${RESPONSE_TYPES.join(', ')}`);
+    }
+
+    if (typeof response.text !== 'string' || !response.text.trim()) {
+        errors.push('"text" must be a non-empty string');
+    }
+
+    if (response.type === 'code') {
+        if (!isPlainObject(response.fileTree) || Object.keys(response.fileTree).length === 0) {
+            errors.push('"fileTree" must be a non-empty object for "code" responses');
+        } else {
+            validateTree(response.fileTree, '', 1, errors);
+
+            const hasPackageJson = isPlainObject(response.fileTree['package.json']?.file) ||
+                isPlainObject(options.existingFileTree?.['package.json']?.file);
+
+            if (!hasPackageJson) {
+                errors.push('"fileTree" must include a root "package.json" with the project\'s dependencies');
+            }
+        }
+
+        validateCommand(response.buildCommand, 'buildCommand', errors);
+        validateCommand(response.startCommand, 'startCommand', errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Parse raw model output, tolerating markdown code fences and text around the
+ * JSON object, then validate it. Returns { valid, errors, response }.
+ */
+export const parseAndValidate = (responseText, options = {}) => {
+    const cleanedText = (responseText || '')
+        .replace(/```json\n?/g, '')
+        .replace(/```\n?/g, '')
+        .trim();
+
+    let response;
+
+    try {
+        response = JSON.parse(cleanedText);
+    } catch (error) {
+        const start = cleanedText.indexOf('{');
+        const end = cleanedText.lastIndexOf('}');
+
+        try {
+            if (start === -1 || end <= start) throw error;
+            response = JSON.parse(cleanedText.slice(start, end + 1));
+        } catch {
+            return { valid: false, errors: [ `The response is not valid JSON (${error.message})` ], response: null };
+        }
+    }
+
+    return { ...validateAiResponse(response, options), response };
+};
+
+export default {
+    RESPONSE_TYPES,
+    validateAiResponse,
+    parseAndValidate
+};
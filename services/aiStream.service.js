@@ -0,0 +1,192 @@
+/*
+ * Incremental reader for the JSON the AI streams back.
+ * The model answers with one JSON object ({ type, text, fileTree, ... }), so
+ * until it is complete JSON.parse cannot help. This pulls out what is already
+ * usable: the "text" field as it grows, and the names of files in "fileTree".
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Objects under these keys map file names to { file } / { directory } nodes
+const TREE_KEYS = new Set([ 'fileTree', 'directory' ]);
+
+/**
+ * Character-level JSON scanner that keeps its place between chunks, so each
+ * character is looked at once however the response is split. It tracks just
+ * enough structure to find the top-level "type" and "text" and the file names
+ * in "fileTree"; anything before the opening brace (e.g. a ``` fence) is skipped.
+ */
+const createScanner = () => {
+    const state = { type: null, files: [] };
+    // "text" decoded since the last takeText(); kept apart from what was already
+    // handed out, because slicing one ever-growing string would copy it every time
+    let text = '';
+
+    // Open objects/arrays: { isObject, key (in the parent), pendingKey, isFileNode }
+    const stack = [];
+    let done = false;
+
+    // Current string: role is 'key', 'text', 'type' or 'skip'
+    let string = null;
+    let escape = null;
+
+    const appendChar = (char) => {
+        if (string.role === 'text') {
+            text += char;
+        } else if (string.role !== 'skip') {
+            string.value += char;
+        }
+    };
+
+    const endString = () => {
+        const frame = stack[stack.length - 1];
+
+        if (string.role === 'key') {
+            frame.pendingKey = string.value;
+
+            // { "name": { "file": ... } } inside a tree: "name" is a file or directory
+            const parent = stack[stack.length - 2];
+            if ((string.value === 'file' || string.value === 'directory') &&
+                !frame.isFileNode && parent && TREE_KEYS.has(parent.key)) {
+                frame.isFileNode = true;
+                state.files.push(frame.key);
+            }
+        } else if (string.role === 'type') {
+            state.type = string.value;
+        }
+
+        string = null;
+    };
+
+    const startString = () => {
+        const frame = stack[stack.length - 1];
+
+        if (frame.isObject && frame.pendingKey === null) {
+            string = { role: 'key', value: '' };
+        } else if (stack.length === 1 && (frame.pendingKey === 'text' || frame.pendingKey === 'type')) {
+            string = { role: frame.pendingKey, value: '' };
+        } else {
+            string = { role: 'skip', value: '' };
+        }
+    };
+
+    const readStringChar = (char) => {
+        if (escape !== null) {
+            if (escape === '') {
+                if (char === 'u') {
+                    escape = 'u';
+                    return;
+                }
+                appendChar(ESCAPES[char] ?? char);
+                escape = null;
+                return;
+            }
+
+            escape += char;
+            if (escape.length === 5) {
+                appendChar(String.fromCharCode(parseInt(escape.slice(1), 16)));
+                escape = null;
+            }
+            return;
+        }
+
+        if (char === '\\') {
+            escape = '';
+        } else if (char === '"') {
+            endString();
+        } else {
+            appendChar(char);
+        }
+    };
+
+    const readStructureChar = (char) => {
+        const frame = stack[stack.length - 1];
+
+        if (char === '{' || char === '[') {
+            stack.push({
+                isObject: char === '{',
+                key: frame?.isObject ? frame.pendingKey : null,
+                pendingKey: null,
+                isFileNode: false
+            });
+        } else if (!frame) {
+            // Not inside the response object yet
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+            done = stack.length === 0;
+        } else if (char === '"') {
+            startString();
+        } else if (char === ',' && frame.isObject) {
+            frame.pendingKey = null;
+        }
+    };
+
+    return {
+        state,
+
+        takeText() {
+            const taken = text;
+            text = '';
+            return taken;
+        },
+
+        push(chunk) {
+            for (let index = 0; index < chunk.length && !done; index++) {
+                if (string) {
+                    readStringChar(chunk[index]);
+                } else {
+                    readStructureChar(chunk[index]);
+                }
+            }
+        }
+    };
+};
+
+/**
+ * Accumulates streamed text and reports only what changed since the last update:
+ * onUpdate({ textDelta, files?, type? })
+ */
+export const createStreamParser = (onUpdate) => {
+    const scanner = createScanner();
+    let buffer = '';
+    let emittedFiles = 0;
+    let emittedType = null;
+
+    return {
+        push(delta) {
+            if (!delta) return;
+            buffer += delta;
+            scanner.push(delta);
+
+            const { type, files } = scanner.state;
+            const textDelta = scanner.takeText();
+            const update = {};
+
+            if (textDelta) {
+                update.textDelta = textDelta;
+            }
+
+            if (files.length > emittedFiles) {
+                update.files = [ ...files ];
+                emittedFiles = files.length;
+            }
+
+            if (type && type !== emittedType) {
+                update.type = type;
+                emittedType = type;
+            }
+
+            if (Object.keys(update).length > 0) {
+                onUpdate?.(update);
+            }
+        },
+
+        get text() {
+            return buffer;
+        }
+    };
+};
+
+export default {
+    createStreamParser
+};
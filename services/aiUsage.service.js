@@ -0,0 +1,206 @@
+import redisClient from './redis.service.js';
+import projectModel from '../models/project.model.js';
+import mongoose from 'mongoose';
+
+/*
+ * AI usage accounting in Redis. Requests and tokens are counted per user and
+ * per project in a per-minute and a per-day window (UTC), each a hash
+ * { requests, tokens } that expires on its own once the window has passed.
+ *
+ * Limits come from the environment; 0 disables a limit:
+ *   AI_USER_MINUTE_REQUESTS, AI_USER_MINUTE_TOKENS, AI_USER_DAILY_REQUESTS, AI_USER_DAILY_TOKENS
+ *   AI_PROJECT_MINUTE_REQUESTS, AI_PROJECT_MINUTE_TOKENS, AI_PROJECT_DAILY_REQUESTS, AI_PROJECT_DAILY_TOKENS
+ */
+
+const DEFAULT_LIMITS = {
+    user: {
+        minute: { requests: 10, tokens: 60000 },
+        day: { requests: 200, tokens: 1000000 }
+    },
+    project: {
+        minute: { requests: 20, tokens: 120000 },
+        day: { requests: 500, tokens: 2500000 }
+    }
+};
+
+const WINDOWS = {
+    minute: {
+        envName: 'MINUTE',
+        id: (now) => Math.floor(now / 60000).toString(),
+        resetsAt: (now) => (Math.floor(now / 60000) + 1) * 60000,
+        ttlSeconds: 120
+    },
+    day: {
+        envName: 'DAILY',
+        id: (now) => new Date(now).toISOString().slice(0, 10),
+        resetsAt: (now) => (Math.floor(now / 86400000) + 1) * 86400000,
+        ttlSeconds: 60 * 60 * 48
+    }
+};
+
+const usageKey = (scope, id, window, now) => `ai:usage:${scope}:${id}:${window}:${WINDOWS[window].id(now)}`;
+
+const readLimit = (scope, window, metric) => {
+    const name = `AI_${scope.toUpperCase()}_${WINDOWS[window].envName}_${metric.toUpperCase()}`;
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? DEFAULT_LIMITS[scope][window][metric] : Math.max(0, value);
+};
+
+export const getLimits = () => Object.fromEntries(
+    Object.keys(DEFAULT_LIMITS).map(scope => [
+        scope,
+        Object.fromEntries(Object.keys(WINDOWS).map(window => [
+            window,
+            { requests: readLimit(scope, window, 'requests'), tokens: readLimit(scope, window, 'tokens') }
+        ]))
+    ])
+);
+
+// Every counter a request touches: the user's windows, plus the project's when there is one
+const countersFor = ({ userId, projectId }, now) => {
+    const limits = getLimits();
+    const scopes = [ [ 'user', userId ] ];
+
+    if (projectId) {
+        scopes.push([ 'project', projectId ]);
+    }
+
+    return scopes.flatMap(([ scope, id ]) => Object.keys(WINDOWS).map(window => ({
+        scope,
+        window,
+        key: usageKey(scope, id.toString(), window, now),
+        limits: limits[scope][window]
+    })));
+};
+
+const createUsageLimitError = ({ scope, window, metric, limit }, now) => {
+    const windowLabel = window === 'minute' ? 'per-minute' : 'daily';
+    const error = new Error(`${scope === 'user' ? 'Your' : 'This project\'s'} ${windowLabel} AI ${metric} limit (${limit}) has been reached`);
+    error.errorType = 'usage_limit';
+    error.scope = scope;
+    error.window = window;
+    error.metric = metric;
+    error.limit = limit;
+    error.retryAfter = Math.ceil((WINDOWS[window].resetsAt(now) - now) / 1000);
+    return error;
+};
+
+/**
+ * Count one AI request against the user's (and project's) quotas.
+ * Throws an error with errorType 'usage_limit' when any limit is already used up;
+ * a rejected request is not counted.
+ */
+export const reserveRequest = async ({ userId, projectId }) => {
+    if (!userId) {
+        throw new Error('userId is required');
+    }
+
+    const now = Date.now();
+    const counters = countersFor({ userId, projectId }, now);
+
+    const transaction = redisClient.multi();
+    for (const counter of counters) {
+        transaction
+            .hincrby(counter.key, 'requests', 1)
+            .hget(counter.key, 'tokens')
+            .expire(counter.key, WINDOWS[counter.window].ttlSeconds);
+    }
+    const results = await transaction.exec();
+
+    let exceeded = null;
+
+    counters.forEach((counter, index) => {
+        if (exceeded) return;
+
+        const requests = Number(results[index * 3][1]);
+        const tokens = Number(results[index * 3 + 1][1]) || 0;
+
+        if (counter.limits.requests > 0 && requests > counter.limits.requests) {
+            exceeded = { ...counter, metric: 'requests', limit: counter.limits.requests };
+        } else if (counter.limits.tokens > 0 && tokens >= counter.limits.tokens) {
+            exceeded = { ...counter, metric: 'tokens', limit: counter.limits.tokens };
+        }
+    });
+
+    if (exceeded) {
+        const rollback = redisClient.multi();
+        counters.forEach(counter => rollback.hincrby(counter.key, 'requests', -1));
+        await rollback.exec();
+
+        throw createUsageLimitError(exceeded, now);
+    }
+};
+
+/**
+ * Add the tokens a finished request consumed (prompt + completion)
+ */
+export const recordTokens = async ({ userId, projectId, tokens }) => {
+    if (!userId || !(tokens > 0)) return;
+
+    const now = Date.now();
+    const transaction = redisClient.multi();
+
+    for (const counter of countersFor({ userId, projectId }, now)) {
+        transaction
+            .hincrby(counter.key, 'tokens', Math.round(tokens))
+            .expire(counter.key, WINDOWS[counter.window].ttlSeconds);
+    }
+
+    await transaction.exec();
+};
+
+const readUsage = async (scope, id, now) => {
+    const limits = getLimits()[scope];
+    const usage = {};
+
+    for (const window of Object.keys(WINDOWS)) {
+        const counts = await redisClient.hgetall(usageKey(scope, id.toString(), window, now));
+        usage[window] = {
+            requests: Number(counts.requests) || 0,
+            tokens: Number(counts.tokens) || 0,
+            limits: limits[window],
+            resetsAt: new Date(WINDOWS[window].resetsAt(now)).toISOString()
+        };
+    }
+
+    return usage;
+};
+
+/**
+ * Current consumption for a user and, optionally, a project they belong to
+ */
+export const getUsage = async ({ userId, projectId }) => {
+    if (!userId) {
+        throw new Error('userId is required');
+    }
+
+    const now = Date.now();
+    const usage = { user: await readUsage('user', userId, now) };
+
+    if (projectId) {
+        if (!mongoose.Types.ObjectId.isValid(projectId)) {
+            throw new Error('Invalid projectId');
+        }
+
+        const project = await projectModel.findById(projectId).select('owner users');
+
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        if (!project.isMember(userId)) {
+            throw new Error('User is not a member of this project');
+        }
+
+        usage.project = await readUsage('project', projectId, now);
+    }
+
+    return usage;
+};
+
+export default {
+    getLimits,
+    reserveRequest,
+    recordTokens,
+    getUsage
+};
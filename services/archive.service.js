@@ -0,0 +1,252 @@
+import archiver from 'archiver';
+import yauzl from 'yauzl';
+import { parseFilePath } from './fileTree.service.js';
+
+/*
+ * Converts between WebContainer-style file trees and zip archives.
+ * Text files are stored as strings; anything that isn't valid UTF-8 is kept
+ * as binary (a Buffer, which MongoDB stores as BinData).
+ *
+ * Import limits (environment):
+ *   IMPORT_MAX_FILES              - default 1000
+ *   IMPORT_MAX_UNCOMPRESSED_BYTES - default 10 MB (a project is stored in one MongoDB document)
+ *   IMPORT_MAX_FILE_BYTES         - default 2 MB per file
+ */
+
+const DEFAULT_MAX_FILES = 1000;
+const DEFAULT_MAX_UNCOMPRESSED_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+// Archive clutter that never belongs in a project
+const IGNORED_ENTRY = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db)(\/|$)/;
+
+const readLimit = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+export const getImportLimits = () => ({
+    maxFiles: readLimit('IMPORT_MAX_FILES', DEFAULT_MAX_FILES),
+    maxUncompressedBytes: readLimit('IMPORT_MAX_UNCOMPRESSED_BYTES', DEFAULT_MAX_UNCOMPRESSED_BYTES),
+    maxFileBytes: readLimit('IMPORT_MAX_FILE_BYTES', DEFAULT_MAX_FILE_BYTES)
+});
+
+/**
+ * Raw bytes of a file node's contents, whatever form they came back from MongoDB in
+ */
+const contentsToBuffer = (contents) => {
+    if (contents === undefined || contents === null) return Buffer.alloc(0);
+    if (typeof contents === 'string') return Buffer.from(contents, 'utf8');
+    if (Buffer.isBuffer(contents)) return contents;
+    if (contents instanceof Uint8Array) return Buffer.from(contents.buffer, contents.byteOffset, contents.byteLength);
+    if (contents._bsontype === 'Binary') return Buffer.from(contents.buffer);
+    if (contents.type === 'Buffer' && Array.isArray(contents.data)) return Buffer.from(contents.data);
+    return Buffer.from(String(contents), 'utf8');
+};
+
+const appendTree = (archive, tree, prefix) => {
+    for (const [ name, node ] of Object.entries(tree || {})) {
+        const path = `${prefix}${name}`;
+
+        if (node?.directory) {
+            const children = Object.keys(node.directory);
+            if (children.length === 0) {
+                // Keep empty directories
+                archive.append(Buffer.alloc(0), { name: `${path}/` });
+            }
+            appendTree(archive, node.directory, `${path}/`);
+        } else if (node?.file) {
+            archive.append(contentsToBuffer(node.file.contents), { name: path });
+        }
+    }
+};
+
+/**
+ * A zip stream of the tree; pipe it to the response, it finalizes itself
+ */
+export const createZipStream = (fileTree, rootFolder = '') => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    appendTree(archive, fileTree, rootFolder ? `${rootFolder}/` : '');
+    archive.finalize();
+    return archive;
+};
+
+const createImportError = (message) => {
+    const error = new Error(message);
+    error.errorType = 'invalid_archive';
+    return error;
+};
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+const decodeContents = (buffer) => {
+    if (buffer.includes(0)) return buffer;
+
+    try {
+        return utf8Decoder.decode(buffer);
+    } catch {
+        return buffer;
+    }
+};
+
+/**
+ * Normalized path of a zip entry. Any absolute path or ".." segment rejects the whole archive.
+ */
+const entryPath = (fileName) => {
+    if (fileName.startsWith('/') || /^[a-zA-Z]:/.test(fileName) || fileName.includes('\\')) {
+        throw createImportError(`Archive contains an unsafe path: ${fileName}`);
+    }
+
+    const trimmed = fileName.replace(/\/+$/, '');
+    if (trimmed.split('/').includes('..')) {
+        throw createImportError(`Archive contains an unsafe path: ${fileName}`);
+    }
+
+    try {
+        return parseFilePath(trimmed).join('/');
+    } catch {
+        throw createImportError(`Archive contains an invalid path: ${fileName}`);
+    }
+};
+
+const isSymlink = (entry) => ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+
+const openZip = (buffer) => new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, strictFileNames: true, validateEntrySizes: true }, (error, zipFile) => {
+        if (error) reject(createImportError(`Not a valid zip archive: ${error.message}`));
+        else resolve(zipFile);
+    });
+});
+
+const readEntry = (zipFile, entry, maxBytes) => new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+        if (error) return reject(createImportError(`Could not read ${entry.fileName}: ${error.message}`));
+
+        const chunks = [];
+        let size = 0;
+
+        stream.on('data', chunk => {
+            size += chunk.length;
+            // Don't trust the sizes in the header alone
+            if (size > maxBytes) {
+                stream.destroy(createImportError(`${entry.fileName} is larger than allowed`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', streamError => reject(streamError.errorType ? streamError : createImportError(streamError.message)));
+    });
+});
+
+/**
+ * Build a file tree from a zip. Returns { fileTree, fileCount, totalBytes }.
+ * A single top-level folder (as in GitHub downloads) is unwrapped.
+ */
+export const fileTreeFromZip = async (buffer) => {
+    const limits = getImportLimits();
+    const zipFile = await openZip(buffer);
+
+    const files = [];
+    const directories = [];
+    let totalBytes = 0;
+
+    try {
+        await new Promise((resolve, reject) => {
+            // yauzl itself rejects absolute and "../" entry names
+            zipFile.on('error', error => reject(createImportError(`Invalid zip archive: ${error.message}`)));
+            zipFile.on('end', resolve);
+
+            zipFile.on('entry', async entry => {
+                try {
+                    if (IGNORED_ENTRY.test(entry.fileName) || isSymlink(entry)) {
+                        zipFile.readEntry();
+                        return;
+                    }
+
+                    const path = entryPath(entry.fileName);
+
+                    if (entry.fileName.endsWith('/')) {
+                        directories.push(path);
+                        zipFile.readEntry();
+                        return;
+                    }
+
+                    if (files.length >= limits.maxFiles) {
+                        throw createImportError(`Archive has more than ${limits.maxFiles} files`);
+                    }
+
+                    if (entry.uncompressedSize > limits.maxFileBytes) {
+                        throw createImportError(`${entry.fileName} is larger than ${limits.maxFileBytes} bytes`);
+                    }
+
+                    if (totalBytes + entry.uncompressedSize > limits.maxUncompressedBytes) {
+                        throw createImportError(`Archive contents exceed ${limits.maxUncompressedBytes} bytes`);
+                    }
+
+                    const contents = await readEntry(zipFile, entry, limits.maxFileBytes);
+                    totalBytes += contents.length;
+
+                    if (totalBytes > limits.maxUncompressedBytes) {
+                        throw createImportError(`Archive contents exceed ${limits.maxUncompressedBytes} bytes`);
+                    }
+
+                    files.push({ path, contents: decodeContents(contents) });
+                    zipFile.readEntry();
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+            zipFile.readEntry();
+        });
+    } finally {
+        zipFile.close();
+    }
+
+    if (files.length === 0) {
+        throw createImportError('Archive contains no files');
+    }
+
+    // Unwrap a single top-level folder
+    const firstSegments = new Set([ ...files, ...directories.map(path => ({ path })) ].map(item => item.path.split('/')[0]));
+    const [ onlyRoot ] = firstSegments;
+    const unwrap = firstSegments.size === 1 && files.every(file => file.path.includes('/'));
+    const strip = (path) => unwrap ? path.slice(onlyRoot.length + 1) : path;
+
+    const fileTree = {};
+
+    const ensureDirectory = (segments) => {
+        let children = fileTree;
+        for (const segment of segments) {
+            const node = children[segment];
+            if (node?.file) {
+                throw createImportError(`"${segments.join('/')}" is both a file and a directory`);
+            }
+            children[segment] = node || { directory: {} };
+            children = children[segment].directory;
+        }
+        return children;
+    };
+
+    for (const path of directories.map(strip).filter(Boolean)) {
+        ensureDirectory(path.split('/'));
+    }
+
+    for (const file of files) {
+        const segments = strip(file.path).split('/');
+        const name = segments.pop();
+        const parent = ensureDirectory(segments);
+
+        if (parent[name]?.directory) {
+            throw createImportError(`"${strip(file.path)}" is both a file and a directory`);
+        }
+
+        parent[name] = { file: { contents: file.contents } };
+    }
+
+    return { fileTree, fileCount: files.length, totalBytes };
+};
+
+export default {
+    getImportLimits,
+    createZipStream,
+    fileTreeFromZip
+};
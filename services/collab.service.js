@@ -0,0 +1,343 @@
+import projectModel from '../models/project.model.js';
+import { apply, transform, isValidOperation } from './ot.service.js';
+import { parseFilePath, getNode } from './fileTree.service.js';
+import { persistFileContents } from './file.service.js';
+
+/*
+ * In-memory collaborative editing sessions, one per open file.
+ * While a file has participants, its session is the source of truth and is
+ * flushed to the project's fileTree after edits settle. Any other write to the
+ * file (REST, file tree overwrite, snapshot restore) wins: it ends the session
+ * and participants have to rejoin. Sessions live in this process, so all
+ * sockets of a project must reach the same server instance.
+ */
+
+const PERSIST_DEBOUNCE_MS = parseInt(process.env.COLLAB_PERSIST_DEBOUNCE_MS, 10) || 2000;
+// Failed writes are retried with doubling delays up to this cap
+const MAX_PERSIST_RETRY_MS = 60 * 1000;
+// Operations kept for transforming late edits; older clients must rejoin
+const MAX_HISTORY = 500;
+
+const sessions = new Map();
+let persistListener = null;
+let sessionEndListener = null;
+
+const sessionKey = (projectId, path) => `${projectId}:${path}`;
+
+/**
+ * Register a callback invoked after a session is written to the database
+ */
+export const onPersist = (listener) => {
+    persistListener = listener;
+};
+
+/**
+ * Register a callback invoked when a session is closed because the file
+ * changed underneath it: listener({ projectId, path, reason })
+ */
+export const onSessionEnd = (listener) => {
+    sessionEndListener = listener;
+};
+
+const endSession = (session, reason) => {
+    clearTimeout(session.persistTimer);
+    session.persistTimer = null;
+    session.dirty = false;
+    session.ended = true;
+
+    const key = sessionKey(session.projectId, session.path);
+    if (sessions.get(key) === session) {
+        sessions.delete(key);
+    }
+
+    sessionEndListener?.({ projectId: session.projectId, path: session.path, reason });
+};
+
+// A session without participants stays around only until its edits are saved
+const dropIfAbandoned = (session) => {
+    const key = sessionKey(session.projectId, session.path);
+
+    if (session.participants.size === 0 && !session.dirty && sessions.get(key) === session) {
+        sessions.delete(key);
+    }
+};
+
+const persistSession = async (session) => {
+    // One write at a time: each one is conditional on what the previous one stored
+    if (session.persisting) {
+        await session.persisting;
+        return persistSession(session);
+    }
+
+    clearTimeout(session.persistTimer);
+    session.persistTimer = null;
+
+    if (!session.dirty || session.ended) {
+        return;
+    }
+
+    session.persisting = writeSession(session);
+
+    try {
+        await session.persisting;
+    } finally {
+        session.persisting = null;
+    }
+};
+
+const writeSession = async (session) => {
+    session.dirty = false;
+    const contents = session.content;
+
+    try {
+        const { revision, conflict } = await persistFileContents({
+            projectId: session.projectId,
+            path: session.path,
+            contents,
+            previousContents: session.persistedContent
+        });
+
+        if (conflict) {
+            // Someone else deleted, moved or rewrote the file; don't resurrect it
+            endSession(session, 'conflict');
+            return;
+        }
+
+        session.persistedContent = contents;
+        session.persistFailures = 0;
+        persistListener?.({ projectId: session.projectId, path: session.path, revision });
+        dropIfAbandoned(session);
+    } catch (error) {
+        session.dirty = true;
+        session.persistFailures++;
+        console.error(`Failed to persist ${session.path}:`, error.message);
+
+        // Keep retrying even after everyone left, or their last edits would be lost
+        if (!session.persistTimer) {
+            const delay = Math.min(PERSIST_DEBOUNCE_MS * 2 ** session.persistFailures, MAX_PERSIST_RETRY_MS);
+            session.persistTimer = setTimeout(() => persistSession(session), delay);
+        }
+    }
+};
+
+const schedulePersist = (session) => {
+    session.dirty = true;
+    clearTimeout(session.persistTimer);
+    session.persistTimer = setTimeout(() => persistSession(session), PERSIST_DEBOUNCE_MS);
+};
+
+const getParticipants = (session) => [ ...session.participants.values() ]
+    .map(({ user, canEdit }) => ({ ...user, canEdit }));
+
+/**
+ * Open a file for collaborative editing and return its current state
+ */
+export const joinFile = async ({ projectId, path, socketId, user }) => {
+    const segments = parseFilePath(path);
+    const normalizedPath = segments.join('/');
+
+    const project = await projectModel.findById(projectId).select('owner users memberRoles fileTree');
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isMember(user._id)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    const key = sessionKey(projectId, normalizedPath);
+    let session = sessions.get(key);
+
+    if (!session) {
+        const node = getNode(project.fileTree, segments);
+
+        if (!node || !node.file) {
+            throw new Error('File not found');
+        }
+
+        if (node.file.contents != null && typeof node.file.contents !== 'string') {
+            throw new Error('Binary files cannot be edited collaboratively');
+        }
+
+        session = {
+            projectId,
+            path: normalizedPath,
+            content: node.file.contents ?? '',
+            // What the database holds, as far as this session knows
+            persistedContent: node.file.contents ?? '',
+            revision: 0,
+            historyStart: 0,
+            history: [],
+            participants: new Map(),
+            persistTimer: null,
+            persisting: null,
+            persistFailures: 0,
+            dirty: false,
+            ended: false,
+            queue: Promise.resolve()
+        };
+        sessions.set(key, session);
+    }
+
+    // Informational only; applyOperation re-checks access on every edit
+    session.participants.set(socketId, { user, canEdit: project.canEdit(user._id) });
+
+    return {
+        path: session.path,
+        content: session.content,
+        revision: session.revision,
+        participants: getParticipants(session)
+    };
+};
+
+/**
+ * Apply an operation made against `revision`, transforming it over anything
+ * that was applied since. Returns the operation as applied and the new revision.
+ * Operations on one session run one at a time, in arrival order, because the
+ * membership check in front of each has to hit the database.
+ */
+export const applyOperation = ({ projectId, path, socketId, revision, operation }) => {
+    const normalizedPath = parseFilePath(path).join('/');
+    const session = sessions.get(sessionKey(projectId, normalizedPath));
+
+    if (!session || !session.participants.has(socketId)) {
+        return Promise.reject(new Error('Join the file before editing it'));
+    }
+
+    const run = session.queue.then(() => applyToSession({ session, socketId, revision, operation }));
+    session.queue = run.catch(() => {});
+    return run;
+};
+
+const applyToSession = async ({ session, socketId, revision, operation }) => {
+    const participant = session.participants.get(socketId);
+
+    if (session.ended || !participant) {
+        throw new Error('Join the file before editing it');
+    }
+
+    // Roles can change or members be removed while a file is open
+    const project = await projectModel.findById(session.projectId).select('owner users memberRoles');
+    participant.canEdit = Boolean(project?.isMember(participant.user._id) && project.canEdit(participant.user._id));
+
+    if (!participant.canEdit) {
+        throw new Error('You do not have permission to edit files in this project');
+    }
+
+    if (session.ended) {
+        throw new Error('Join the file before editing it');
+    }
+
+    if (!isValidOperation(operation)) {
+        throw new Error('Invalid operation');
+    }
+
+    if (!Number.isInteger(revision) || revision > session.revision) {
+        throw new Error('Invalid revision');
+    }
+
+    if (revision < session.historyStart) {
+        throw new Error('Revision is too old. Rejoin the file to resync.');
+    }
+
+    let transformed = operation;
+    for (const concurrent of session.history.slice(revision - session.historyStart)) {
+        transformed = transform(transformed, concurrent)[0];
+    }
+
+    session.content = apply(session.content, transformed);
+    session.history.push(transformed);
+    session.revision++;
+
+    if (session.history.length > MAX_HISTORY) {
+        session.history.shift();
+        session.historyStart++;
+    }
+
+    schedulePersist(session);
+
+    return { path: session.path, operation: transformed, revision: session.revision };
+};
+
+/**
+ * Remove a participant; the last one out flushes and closes the session.
+ * If that write fails, the session lingers and retries until it succeeds.
+ */
+export const leaveFile = async ({ projectId, path, socketId }) => {
+    const normalizedPath = parseFilePath(path).join('/');
+    const key = sessionKey(projectId, normalizedPath);
+    const session = sessions.get(key);
+
+    if (!session || !session.participants.delete(socketId)) {
+        return null;
+    }
+
+    if (session.participants.size === 0) {
+        await persistSession(session);
+        dropIfAbandoned(session);
+    }
+
+    return { path: session.path, participants: getParticipants(session) };
+};
+
+/**
+ * Leave every file a socket has open (used on disconnect)
+ */
+export const leaveAllFiles = async ({ socketId }) => {
+    const left = [];
+
+    for (const session of [ ...sessions.values() ]) {
+        if (session.participants.has(socketId)) {
+            const result = await leaveFile({ projectId: session.projectId, path: session.path, socketId });
+            left.push({ projectId: session.projectId, ...result });
+        }
+    }
+
+    return left;
+};
+
+/**
+ * End the sessions on `paths` (or anything below them) after another write
+ * replaced those files. Omitting paths ends every session of the project.
+ * Unsaved session edits are dropped: the other write wins.
+ */
+export const closeSessions = ({ projectId, paths, reason = 'changed' }) => {
+    // Runs after the other write landed, so a path no session could have opened is just skipped
+    const normalized = paths?.flatMap(path => {
+        try {
+            return [ parseFilePath(path).join('/') ];
+        } catch {
+            return [];
+        }
+    });
+
+    for (const session of [ ...sessions.values() ]) {
+        if (session.projectId.toString() !== projectId.toString()) continue;
+
+        const affected = !normalized || normalized.some(path =>
+            session.path === path || session.path.startsWith(`${path}/`));
+
+        if (affected) {
+            endSession(session, reason);
+        }
+    }
+};
+
+/**
+ * Flush every open session, e.g. before shutting down
+ */
+export const flushAll = async () => {
+    await Promise.all([ ...sessions.values() ].map(persistSession));
+};
+
+export default {
+    onPersist,
+    onSessionEnd,
+    joinFile,
+    applyOperation,
+    leaveFile,
+    leaveAllFiles,
+    closeSessions,
+    flushAll
+};
@@ -0,0 +1,321 @@
+import projectModel from '../models/project.model.js';
+import { createSnapshot } from './snapshot.service.js';
+import { revisionFilter, createRevisionConflictError } from './revision.service.js';
+import {
+    parseFilePath,
+    getNode,
+    assertParentsAreDirectories,
+    buildSetNodePipeline,
+    buildUnsetNodePipeline,
+    buildMoveNodePipeline,
+    buildFileContentsCondition
+} from './fileTree.service.js';
+import { searchFileTree } from './search.service.js';
+import { closeSessions } from './collab.service.js';
+import { recordActivity } from './activity.service.js';
+import mongoose from 'mongoose';
+
+const DEFAULT_SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_PAGE_SIZE = 100;
+
+const loadProject = async ({ projectId, userId, write = false }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isMember(userId)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    if (write && !project.canEdit(userId)) {
+        throw new Error('You do not have permission to edit files in this project');
+    }
+
+    return project;
+};
+
+/**
+ * Fail fast on a stale revision so callers get a conflict rather than a
+ * misleading "not found"/"already exists" computed from newer state
+ */
+const assertCurrentRevision = async ({ project, expectedRevision, touchedPaths }) => {
+    if (expectedRevision !== undefined && (project.revision || 0) !== expectedRevision) {
+        throw await createRevisionConflictError({ projectId: project._id, expectedRevision, touchedPaths });
+    }
+};
+
+const INCREMENT_REVISION = { $set: { revision: { $add: [ { $ifNull: [ '$revision', 0 ] }, 1 ] } } };
+
+/**
+ * Run a path-level update pipeline against the stored file tree and snapshot the result
+ */
+const applyFileTreeUpdate = async ({ projectId, userId, pipeline, message, expectedRevision, touchedPaths }) => {
+    const updatedProject = await projectModel.findOneAndUpdate(
+        revisionFilter(projectId, expectedRevision),
+        [ ...pipeline, INCREMENT_REVISION ],
+        { new: true, updatePipeline: true }
+    );
+
+    if (!updatedProject) {
+        throw await createRevisionConflictError({ projectId, expectedRevision, touchedPaths });
+    }
+
+    closeSessions({ projectId, paths: touchedPaths });
+
+    await createSnapshot({
+        projectId,
+        fileTree: updatedProject.fileTree,
+        authorId: userId,
+        message,
+        revision: updatedProject.revision
+    });
+
+    await recordActivity({
+        projectId,
+        actorId: userId,
+        action: 'files.updated',
+        target: { kind: 'files' },
+        metadata: {
+            revision: updatedProject.revision,
+            message,
+            changedCount: touchedPaths.length,
+            paths: touchedPaths
+        }
+    });
+
+    return updatedProject;
+};
+
+export const readFile = async ({ projectId, userId, path }) => {
+    const segments = parseFilePath(path);
+    const project = await loadProject({ projectId, userId });
+    const node = getNode(project.fileTree, segments);
+
+    if (!node) {
+        throw new Error('File not found');
+    }
+
+    if (node.directory) {
+        return {
+            path: segments.join('/'),
+            type: 'directory',
+            entries: Object.entries(node.directory).map(([ name, child ]) => ({
+                name,
+                type: child?.directory ? 'directory' : 'file'
+            }))
+        };
+    }
+
+    return {
+        path: segments.join('/'),
+        type: 'file',
+        contents: node.file?.contents ?? ''
+    };
+};
+
+export const createFile = async ({ projectId, userId, path, contents = '', type = 'file', expectedRevision }) => {
+    const segments = parseFilePath(path);
+
+    if (typeof contents !== 'string') {
+        throw new Error('contents must be a string');
+    }
+
+    const project = await loadProject({ projectId, userId, write: true });
+    await assertCurrentRevision({ project, expectedRevision, touchedPaths: [ segments.join('/') ] });
+
+    if (getNode(project.fileTree, segments)) {
+        throw new Error(`"${segments.join('/')}" already exists`);
+    }
+
+    assertParentsAreDirectories(project.fileTree, segments);
+
+    const node = type === 'directory' ? { directory: {} } : { file: { contents } };
+
+    const updatedProject = await applyFileTreeUpdate({
+        projectId,
+        userId,
+        pipeline: buildSetNodePipeline(segments, node),
+        message: `Created ${segments.join('/')}`,
+        expectedRevision,
+        touchedPaths: [ segments.join('/') ]
+    });
+
+    return { path: segments.join('/'), type, project: updatedProject };
+};
+
+export const updateFile = async ({ projectId, userId, path, contents, expectedRevision }) => {
+    const segments = parseFilePath(path);
+
+    if (typeof contents !== 'string') {
+        throw new Error('contents must be a string');
+    }
+
+    const project = await loadProject({ projectId, userId, write: true });
+    await assertCurrentRevision({ project, expectedRevision, touchedPaths: [ segments.join('/') ] });
+
+    const node = getNode(project.fileTree, segments);
+
+    if (!node) {
+        throw new Error('File not found');
+    }
+
+    if (node.directory) {
+        throw new Error(`"${segments.join('/')}" is a directory`);
+    }
+
+    const updatedProject = await applyFileTreeUpdate({
+        projectId,
+        userId,
+        pipeline: buildSetNodePipeline(segments, { file: { contents } }),
+        message: `Updated ${segments.join('/')}`,
+        expectedRevision,
+        touchedPaths: [ segments.join('/') ]
+    });
+
+    return { path: segments.join('/'), project: updatedProject };
+};
+
+/**
+ * Rename or move a file or directory
+ */
+export const moveFile = async ({ projectId, userId, from, to, expectedRevision }) => {
+    const fromSegments = parseFilePath(from);
+    const toSegments = parseFilePath(to);
+    const fromPath = fromSegments.join('/');
+    const toPath = toSegments.join('/');
+
+    if (fromPath === toPath) {
+        throw new Error('Source and destination paths are the same');
+    }
+
+    if (toPath.startsWith(`${fromPath}/`)) {
+        throw new Error('Cannot move a directory into itself');
+    }
+
+    const project = await loadProject({ projectId, userId, write: true });
+    await assertCurrentRevision({ project, expectedRevision, touchedPaths: [ fromPath, toPath ] });
+
+    if (!getNode(project.fileTree, fromSegments)) {
+        throw new Error('File not found');
+    }
+
+    if (getNode(project.fileTree, toSegments)) {
+        throw new Error(`"${toPath}" already exists`);
+    }
+
+    assertParentsAreDirectories(project.fileTree, toSegments);
+
+    const updatedProject = await applyFileTreeUpdate({
+        projectId,
+        userId,
+        pipeline: buildMoveNodePipeline(fromSegments, toSegments),
+        message: `Moved ${fromPath} to ${toPath}`,
+        expectedRevision,
+        touchedPaths: [ fromPath, toPath ]
+    });
+
+    return { from: fromPath, to: toPath, project: updatedProject };
+};
+
+export const deleteFile = async ({ projectId, userId, path, expectedRevision }) => {
+    const segments = parseFilePath(path);
+    const project = await loadProject({ projectId, userId, write: true });
+    await assertCurrentRevision({ project, expectedRevision, touchedPaths: [ segments.join('/') ] });
+
+    if (!getNode(project.fileTree, segments)) {
+        throw new Error('File not found');
+    }
+
+    const updatedProject = await applyFileTreeUpdate({
+        projectId,
+        userId,
+        pipeline: buildUnsetNodePipeline(segments),
+        message: `Deleted ${segments.join('/')}`,
+        expectedRevision,
+        touchedPaths: [ segments.join('/') ]
+    });
+
+    return { path: segments.join('/'), project: updatedProject };
+};
+
+/**
+ * Write a file's contents on behalf of the collaborative editing session.
+ * Permissions are checked per operation by the session, and no snapshot is
+ * taken because this runs on every debounce tick. The write only lands while
+ * the stored file still holds `previousContents`; if it was deleted, moved or
+ * rewritten elsewhere, nothing is written and `conflict` is true.
+ */
+export const persistFileContents = async ({ projectId, path, contents, previousContents }) => {
+    const segments = parseFilePath(path);
+
+    const updatedProject = await projectModel.findOneAndUpdate(
+        { _id: projectId, ...buildFileContentsCondition(segments, previousContents) },
+        [ ...buildSetNodePipeline(segments, { file: { contents } }), INCREMENT_REVISION ],
+        { new: true, updatePipeline: true }
+    ).select('revision');
+
+    if (!updatedProject) {
+        return { path: segments.join('/'), revision: null, conflict: true };
+    }
+
+    return { path: segments.join('/'), revision: updatedProject.revision, conflict: false };
+};
+
+/**
+ * Search file paths and contents. The cursor is the offset of the next result.
+ * The scan stops once the requested page is filled, so `total` is only known
+ * (non-null) on the last page.
+ */
+export const searchFiles = async ({ projectId, userId, query, regex, caseSensitive, contextLines, cursor, limit }) => {
+    const project = await loadProject({ projectId, userId });
+
+    const offset = cursor ? parseInt(cursor, 10) : 0;
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error('Invalid cursor');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+
+    // One hit past the page tells whether there is a next one
+    const { results, truncated, filesSearched } = await searchFileTree(project.fileTree, {
+        query,
+        regex,
+        caseSensitive,
+        contextLines,
+        stopAfter: offset + pageSize + 1
+    });
+
+    const page = results.slice(offset, offset + pageSize);
+    const hasMore = offset + pageSize < results.length;
+
+    return {
+        results: page,
+        total: hasMore ? null : results.length,
+        truncated,
+        filesSearched,
+        revision: project.revision,
+        nextCursor: hasMore ? String(offset + pageSize) : null,
+        hasMore
+    };
+};
+
+export default {
+    readFile,
+    createFile,
+    updateFile,
+    moveFile,
+    deleteFile,
+    persistFileContents,
+    searchFiles
+};
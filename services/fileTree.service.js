@@ -0,0 +1,405 @@
+/**
+ * Helpers for WebContainer-style file trees:
+ * { "name": { file: { contents } } | { directory: { ...tree } } }
+ */
+
+/**
+ * Flatten a file tree into { "dir/file.js": contents }
+ */
+export const flattenFileTree = (fileTree, prefix = '') => {
+    const files = {};
+
+    if (!fileTree || typeof fileTree !== 'object') {
+        return files;
+    }
+
+    for (const [ name, node ] of Object.entries(fileTree)) {
+        const path = prefix ? `${prefix}/${name}` : name;
+
+        if (node?.directory) {
+            Object.assign(files, flattenFileTree(node.directory, path));
+        } else if (node?.file) {
+            files[path] = node.file.contents ?? '';
+        }
+    }
+
+    return files;
+};
+
+// Binary contents arrive as Buffers, but come back from MongoDB as BSON Binary
+// (or as { type: 'Buffer', data } once serialized to JSON)
+const toBytes = (contents) => {
+    if (contents instanceof Uint8Array) {
+        return Buffer.from(contents.buffer, contents.byteOffset, contents.byteLength);
+    }
+
+    if (contents?._bsontype === 'Binary') {
+        return Buffer.from(contents.buffer.buffer, contents.buffer.byteOffset, contents.position);
+    }
+
+    if (contents?.type === 'Buffer' && Array.isArray(contents.data)) {
+        return Buffer.from(contents.data);
+    }
+
+    return null;
+};
+
+/**
+ * Whether two file contents are the same: text by value, binary byte for byte
+ */
+export const contentsEqual = (a, b) => {
+    if (typeof a === 'string' || typeof b === 'string' || a == null || b == null) {
+        return a === b;
+    }
+
+    const aBytes = toBytes(a);
+    const bBytes = toBytes(b);
+
+    return Boolean(aBytes && bBytes && aBytes.equals(bBytes));
+};
+
+/**
+ * Paths whose contents differ between two trees (added, removed or modified)
+ */
+export const changedPaths = (fromTree, toTree) => {
+    const fromFiles = flattenFileTree(fromTree);
+    const toFiles = flattenFileTree(toTree);
+    const paths = new Set([ ...Object.keys(fromFiles), ...Object.keys(toFiles) ]);
+
+    return [ ...paths ].filter(path => !contentsEqual(fromFiles[path], toFiles[path])).sort();
+};
+
+/**
+ * Normalize a slash-separated path into its segments.
+ * Rejects traversal, empty segments and names MongoDB cannot store.
+ */
+export const parseFilePath = (path) => {
+    if (!path || typeof path !== 'string') {
+        throw new Error('File path is required');
+    }
+
+    const segments = path.trim().replace(/^\.?\/+/, '').split('/');
+
+    if (segments.length === 0 || segments.length > 32) {
+        throw new Error('Invalid file path');
+    }
+
+    for (const segment of segments) {
+        if (!segment || segment === '.' || segment === '..') {
+            throw new Error(`Invalid file path: ${path}`);
+        }
+
+        if (segment.startsWith('$') || /[\\\0]/.test(segment) || segment.length > 255) {
+            throw new Error(`Invalid file path: ${path}`);
+        }
+    }
+
+    return segments;
+};
+
+/**
+ * Keys from the tree root down to a node, e.g. src/app.js -> ['src', 'directory', 'app.js']
+ */
+export const toTreeKeys = (segments) => segments.flatMap((segment, index) =>
+    index === 0 ? [ segment ] : [ 'directory', segment ]
+);
+
+/**
+ * Look up the node at a path, or null when any part of it is missing
+ */
+export const getNode = (fileTree, segments) => {
+    let node = { directory: fileTree || {} };
+
+    for (const segment of segments) {
+        const children = node?.directory;
+        if (!children || !Object.prototype.hasOwnProperty.call(children, segment)) {
+            return null;
+        }
+        node = children[segment];
+    }
+
+    return node;
+};
+
+/**
+ * Fail when a parent segment is a file rather than a directory
+ */
+export const assertParentsAreDirectories = (fileTree, segments) => {
+    for (let i = 1; i < segments.length; i++) {
+        const parent = getNode(fileTree, segments.slice(0, i));
+        if (parent && !parent.directory) {
+            throw new Error(`Cannot create "${segments.join('/')}": "${segments.slice(0, i).join('/')}" is a file`);
+        }
+    }
+};
+
+/*
+ * Aggregation expressions for path updates on `fileTree`. File names contain
+ * dots, so dotted $set paths cannot be used; $getField/$setField (MongoDB 5.0+)
+ * treat each name literally.
+ */
+const getFieldExpr = (input, keys) => keys.reduce(
+    (expr, key) => ({ $getField: { field: key, input: expr } }),
+    input
+);
+
+const setFieldExpr = (input, keys, value) => {
+    const [ key, ...rest ] = keys;
+
+    if (rest.length === 0) {
+        return { $setField: { field: key, input, value } };
+    }
+
+    const child = { $ifNull: [ { $getField: { field: key, input } }, {} ] };
+    return { $setField: { field: key, input, value: setFieldExpr(child, rest, value) } };
+};
+
+const unsetFieldExpr = (input, keys) => {
+    const [ key, ...rest ] = keys;
+
+    if (rest.length === 0) {
+        return { $unsetField: { field: key, input } };
+    }
+
+    const child = { $ifNull: [ { $getField: { field: key, input } }, {} ] };
+    return { $setField: { field: key, input, value: unsetFieldExpr(child, rest) } };
+};
+
+const ROOT = { $ifNull: [ '$fileTree', {} ] };
+
+/**
+ * Update pipeline that writes `node` at `segments`, creating parent directories
+ */
+export const buildSetNodePipeline = (segments, node) => [
+    { $set: { fileTree: setFieldExpr(ROOT, toTreeKeys(segments), { $literal: node }) } }
+];
+
+/**
+ * Update pipeline that removes the node at `segments`
+ */
+export const buildUnsetNodePipeline = (segments) => [
+    { $set: { fileTree: unsetFieldExpr(ROOT, toTreeKeys(segments)) } }
+];
+
+/**
+ * Query condition that matches only while the file at `segments` still holds
+ * `contents` (a missing file never matches)
+ */
+export const buildFileContentsCondition = (segments, contents) => ({
+    $expr: {
+        $eq: [ getFieldExpr(ROOT, [ ...toTreeKeys(segments), 'file', 'contents' ]), { $literal: contents } ]
+    }
+});
+
+/**
+ * Update pipeline that moves the stored node from one path to another
+ */
+export const buildMoveNodePipeline = (fromSegments, toSegments) => [
+    { $set: { fileTree: setFieldExpr(ROOT, toTreeKeys(toSegments), getFieldExpr(ROOT, toTreeKeys(fromSegments))) } },
+    { $set: { fileTree: unsetFieldExpr(ROOT, toTreeKeys(fromSegments)) } }
+];
+
+const splitLines = (text) => {
+    if (typeof text !== 'string' || text === '') {
+        return [];
+    }
+    return text.replace(/\r\n/g, '\n').split('\n');
+};
+
+// Beyond this many edits a file is reported as fully replaced instead of diffed.
+// The trace kept for backtracking grows with its square (about 4 MB at 1000).
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Myers line diff. Returns [{ type: 'equal' | 'add' | 'remove', line }]
+ */
+const diffLines = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Step d only reads diagonals -d-1..d+1, so that's all backtracking needs
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(a, b, trace);
+            }
+        }
+    }
+
+    return [
+        ...a.map(line => ({ type: 'remove', line })),
+        ...b.map(line => ({ type: 'add', line }))
+    ];
+};
+
+// trace[d] holds diagonals -d-1..d+1 of the V array as it was before step d
+const backtrack = (a, b, trace) => {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const at = (k) => v[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = d === 0 ? 0 : prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: 'equal', line: a[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                edits.push({ type: 'add', line: b[y - 1] });
+            } else {
+                edits.push({ type: 'remove', line: a[x - 1] });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    return edits.reverse();
+};
+
+/**
+ * Build a unified diff body (hunks only) from line edits
+ */
+const toUnifiedPatch = (edits, context = 3) => {
+    const hunks = [];
+    let current = null;
+    let oldLine = 1;
+    let newLine = 1;
+    let trailingEqual = 0;
+
+    edits.forEach((edit, index) => {
+        if (edit.type !== 'equal') {
+            if (!current) {
+                // Open a hunk with up to `context` lines of leading context
+                const lead = [];
+                for (let i = index - 1; i >= 0 && lead.length < context && edits[i].type === 'equal'; i--) {
+                    lead.unshift(edits[i]);
+                }
+                current = {
+                    oldStart: oldLine - lead.length,
+                    newStart: newLine - lead.length,
+                    oldCount: lead.length,
+                    newCount: lead.length,
+                    lines: lead.map(e => ` ${e.line}`)
+                };
+            }
+            trailingEqual = 0;
+        }
+
+        if (current) {
+            if (edit.type === 'equal') {
+                trailingEqual++;
+                if (trailingEqual > context * 2) {
+                    // Gap is wide enough: close the hunk, keeping only `context` trailing lines
+                    const extra = trailingEqual - 1 - context;
+                    current.lines.splice(current.lines.length - extra, extra);
+                    current.oldCount -= extra;
+                    current.newCount -= extra;
+                    hunks.push(current);
+                    current = null;
+                    trailingEqual = 0;
+                } else {
+                    current.lines.push(` ${edit.line}`);
+                    current.oldCount++;
+                    current.newCount++;
+                }
+            } else if (edit.type === 'remove') {
+                current.lines.push(`-${edit.line}`);
+                current.oldCount++;
+            } else {
+                current.lines.push(`+${edit.line}`);
+                current.newCount++;
+            }
+        }
+
+        if (edit.type !== 'add') oldLine++;
+        if (edit.type !== 'remove') newLine++;
+    });
+
+    if (current) {
+        const extra = Math.max(trailingEqual - context, 0);
+        current.lines.splice(current.lines.length - extra, extra);
+        current.oldCount -= extra;
+        current.newCount -= extra;
+        hunks.push(current);
+    }
+
+    return hunks
+        .map(h => `@@ -${h.oldStart},${h.oldCount} +${h.newStart},${h.newCount} @@\n${h.lines.join('\n')}`)
+        .join('\n');
+};
+
+/**
+ * Per-file diff between two file trees
+ */
+export const diffFileTrees = (fromTree, toTree) => {
+    const fromFiles = flattenFileTree(fromTree);
+    const toFiles = flattenFileTree(toTree);
+    const paths = [ ...new Set([ ...Object.keys(fromFiles), ...Object.keys(toFiles) ]) ].sort();
+    const files = [];
+
+    for (const path of paths) {
+        const inFrom = Object.prototype.hasOwnProperty.call(fromFiles, path);
+        const inTo = Object.prototype.hasOwnProperty.call(toFiles, path);
+
+        if (inFrom && inTo && contentsEqual(fromFiles[path], toFiles[path])) {
+            continue;
+        }
+
+        const status = !inFrom ? 'added' : !inTo ? 'removed' : 'modified';
+        const edits = diffLines(splitLines(fromFiles[path]), splitLines(toFiles[path]));
+
+        files.push({
+            path,
+            status,
+            additions: edits.filter(e => e.type === 'add').length,
+            deletions: edits.filter(e => e.type === 'remove').length,
+            patch: toUnifiedPatch(edits)
+        });
+    }
+
+    return files;
+};
+
+export default {
+    flattenFileTree,
+    contentsEqual,
+    changedPaths,
+    parseFilePath,
+    toTreeKeys,
+    getNode,
+    assertParentsAreDirectories,
+    buildSetNodePipeline,
+    buildUnsetNodePipeline,
+    buildMoveNodePipeline,
+    buildFileContentsCondition,
+    diffFileTrees
+};
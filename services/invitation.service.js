@@ -0,0 +1,288 @@
+import invitationModel from '../models/invitation.model.js';
+import projectModel, { MEMBER_ROLES } from '../models/project.model.js';
+import userModel from '../models/user.model.js';
+import { addUsersToProject } from './project.service.js';
+import { sendMail, frontendUrl } from './mail.service.js';
+import { emitToRoom } from './socket.service.js';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const DEFAULT_INVITATION_TTL_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const loadOwnedProject = async ({ projectId, userId }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isOwner(userId)) {
+        throw new Error('Only the project owner can manage invitations');
+    }
+
+    return project;
+};
+
+/**
+ * Invite an email address to a project. Works for people who have not registered yet.
+ * Invitees who already have an account are also told in real time.
+ * Returns the invitation and the invitee's user id, if any.
+ */
+export const createInvitation = async ({ projectId, email, role = 'editor', inviterId }) => {
+    if (!email || typeof email !== 'string') {
+        throw new Error('Email is required');
+    }
+
+    if (!MEMBER_ROLES.includes(role)) {
+        throw new Error(`Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}`);
+    }
+
+    const project = await loadOwnedProject({ projectId, userId: inviterId });
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const invitee = await userModel.findOne({ email: normalizedEmail });
+
+    if (invitee && project.isMember(invitee._id)) {
+        throw new Error('This user is already a member of the project');
+    }
+
+    const existing = await invitationModel.findOne({ project: projectId, email: normalizedEmail, status: 'pending' });
+
+    if (existing) {
+        if (!existing.isExpired()) {
+            throw new Error('This email already has a pending invitation');
+        }
+        existing.status = 'expired';
+        await existing.save();
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const ttlDays = parseInt(process.env.INVITATION_TTL_DAYS, 10) || DEFAULT_INVITATION_TTL_DAYS;
+
+    const invitation = await invitationModel.create({
+        project: projectId,
+        email: normalizedEmail,
+        role,
+        inviter: inviterId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+    });
+
+    const inviter = await userModel.findById(inviterId).select('email');
+    const acceptUrl = frontendUrl(`/invitations/accept?token=${token}`);
+
+    try {
+        await sendMail({
+            to: normalizedEmail,
+            subject: `You've been invited to the "${project.name}" workspace`,
+            text: `${inviter?.email || 'A teammate'} invited you to join "${project.name}" as ${role === 'viewer' ? 'a viewer' : 'an editor'}.\n\n` +
+                  `Accept the invitation: ${acceptUrl}\n\n` +
+                  `This invitation expires on ${invitation.expiresAt.toUTCString()}.`
+        });
+    } catch (error) {
+        // The invite is still usable from the in-app list, so don't fail the request
+        console.error('Invitation email error:', error.message);
+    }
+
+    if (invitee) {
+        emitToRoom(invitee._id, 'project-invitation', {
+            invitationId: invitation._id,
+            projectId: invitation.project,
+            role: invitation.role,
+            inviter: { _id: inviterId, email: inviter?.email },
+            expiresAt: invitation.expiresAt
+        });
+    }
+
+    return { invitation, inviteeId: invitee?._id || null };
+};
+
+/**
+ * Invite registered users by id, e.g. picked from the user list. Nobody joins
+ * until they accept. Users who can't be invited (already members, invite
+ * pending, unknown id) are reported in `skipped` instead of failing the batch.
+ */
+export const inviteUsers = async ({ projectId, userIds, role = 'editor', inviterId }) => {
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+        throw new Error('users array is required and must not be empty');
+    }
+
+    if (userIds.some(uid => !mongoose.Types.ObjectId.isValid(uid))) {
+        throw new Error('Invalid userId(s) in users array');
+    }
+
+    await loadOwnedProject({ projectId, userId: inviterId });
+
+    const users = await userModel.find({ _id: { $in: userIds } }).select('email');
+    const emails = new Map(users.map(user => [ user._id.toString(), user.email ]));
+
+    const invitations = [];
+    const skipped = [];
+
+    for (const userId of new Set(userIds.map(String))) {
+        if (!emails.has(userId)) {
+            skipped.push({ userId, reason: 'User not found' });
+            continue;
+        }
+
+        try {
+            const { invitation } = await createInvitation({ projectId, email: emails.get(userId), role, inviterId });
+            invitations.push(invitation);
+        } catch (error) {
+            skipped.push({ userId, reason: error.message });
+        }
+    }
+
+    return { invitations, skipped };
+};
+
+export const listProjectInvitations = async ({ projectId, userId, status }) => {
+    await loadOwnedProject({ projectId, userId });
+
+    const query = { project: projectId };
+    if (status) {
+        query.status = status;
+    }
+
+    return await invitationModel
+        .find(query)
+        .populate('inviter', 'email')
+        .sort({ createdAt: -1 });
+};
+
+/**
+ * Pending, unexpired invitations addressed to the logged-in user
+ */
+export const listMyInvitations = async ({ userId }) => {
+    const user = await userModel.findById(userId).select('email');
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    return await invitationModel
+        .find({
+            email: user.email,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        })
+        .populate('project', 'name')
+        .populate('inviter', 'email')
+        .sort({ createdAt: -1 });
+};
+
+export const revokeInvitation = async ({ projectId, invitationId, userId }) => {
+    await loadOwnedProject({ projectId, userId });
+
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        throw new Error('Invalid invitationId');
+    }
+
+    const invitation = await invitationModel.findOne({ _id: invitationId, project: projectId });
+
+    if (!invitation) {
+        throw new Error('Invitation not found');
+    }
+
+    if (invitation.status !== 'pending') {
+        throw new Error(`Invitation is already ${invitation.status}`);
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const invitee = await userModel.findOne({ email: invitation.email }).select('_id');
+
+    return { invitation, inviteeId: invitee?._id || null };
+};
+
+/**
+ * Accept or decline an invitation, identified by the emailed token or by id
+ * (from the in-app list). Either way it must be addressed to the caller's email.
+ */
+export const respondToInvitation = async ({ token, invitationId, userId, accept }) => {
+    if (!token && !invitationId) {
+        throw new Error('token or invitationId is required');
+    }
+
+    if (invitationId && !mongoose.Types.ObjectId.isValid(invitationId)) {
+        throw new Error('Invalid invitationId');
+    }
+
+    const user = await userModel.findById(userId).select('email');
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    const invitation = await invitationModel.findOne(
+        token ? { tokenHash: hashToken(token) } : { _id: invitationId }
+    );
+
+    if (!invitation) {
+        throw new Error('Invitation not found');
+    }
+
+    if (invitation.email !== user.email) {
+        throw new Error('This invitation was sent to a different email address');
+    }
+
+    if (invitation.status !== 'pending') {
+        throw new Error(`Invitation is already ${invitation.status}`);
+    }
+
+    if (invitation.isExpired()) {
+        invitation.status = 'expired';
+        await invitation.save();
+        throw new Error('Invitation has expired');
+    }
+
+    let project = null;
+
+    if (accept) {
+        const invitedProject = await projectModel.findById(invitation.project);
+
+        if (!invitedProject) {
+            throw new Error('Project not found');
+        }
+
+        if (!invitedProject.isMember(userId)) {
+            // The owner authorised this membership when sending the invite
+            project = await addUsersToProject({
+                projectId: invitation.project,
+                users: [ userId.toString() ],
+                userId: invitedProject.owner,
+                role: invitation.role,
+                invitationId: invitation._id
+            });
+        } else {
+            project = invitedProject;
+        }
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    return { invitation, project };
+};
+
+export default {
+    createInvitation,
+    inviteUsers,
+    listProjectInvitations,
+    listMyInvitations,
+    revokeInvitation,
+    respondToInvitation
+};
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/*
+ * Pluggable outgoing mail. MAIL_TRANSPORT picks a registered transport:
+ *   log     - log recipient and subject only (default; bodies carry links with
+ *             secret tokens, which must not end up in server logs)
+ *   console - log full messages, links included; opt-in for local debugging
+ *   file    - write each message as JSON to MAIL_OUTBOX_DIR for offline testing
+ * Real providers can be added with registerMailTransport(name, { send }).
+ */
+
+const transports = new Map();
+
+transports.set('log', {
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject} (body not logged; set MAIL_TRANSPORT=file to read it)`);
+        return { transport: 'log' };
+    }
+});
+
+transports.set('console', {
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { transport: 'console' };
+    }
+});
+
+transports.set('file', {
+    send: async (message) => {
+        const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'codexspace-mail');
+        await fs.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+        return { transport: 'file', path: filePath };
+    }
+});
+
+export const registerMailTransport = (name, transport) => {
+    if (!name || typeof transport?.send !== 'function') {
+        throw new Error('A mail transport needs a name and a send(message) function');
+    }
+    transports.set(name, transport);
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+    if (!to || !subject) {
+        throw new Error('to and subject are required');
+    }
+
+    const transportName = process.env.MAIL_TRANSPORT || 'log';
+    const transport = transports.get(transportName);
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    return await transport.send({
+        from: process.env.MAIL_FROM || 'CodexSpace <no-reply@codexspace.local>',
+        to,
+        subject,
+        text,
+        html,
+        sentAt: new Date().toISOString()
+    });
+};
+
+/**
+ * Absolute link into the frontend app
+ */
+export const frontendUrl = (pathname) =>
+    `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}${pathname}`;
+
+export default {
+    registerMailTransport,
+    sendMail,
+    frontendUrl
+};
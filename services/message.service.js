@@ -0,0 +1,185 @@
+import messageModel from '../models/message.model.js';
+import projectModel from '../models/project.model.js';
+import mongoose from 'mongoose';
+
+const AI_SENDER = { _id: 'ai', email: 'AI' };
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Shape a stored message the same way messages are emitted over the socket
+ */
+export const toClientMessage = (doc) => {
+    const message = doc.toObject ? doc.toObject() : doc;
+
+    return {
+        _id: message._id,
+        project: message.project,
+        message: message.message,
+        sender: message.isAi ? AI_SENDER : message.sender,
+        fileTree: message.fileTree,
+        buildCommand: message.buildCommand,
+        startCommand: message.startCommand,
+        error: message.error || undefined,
+        errorType: message.errorType,
+        createdAt: message.createdAt
+    };
+};
+
+export const saveUserMessage = async ({ projectId, senderId, message }) => {
+    if (!projectId || !senderId) {
+        throw new Error('projectId and senderId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(senderId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    if (!message || typeof message !== 'string') {
+        throw new Error('message is required');
+    }
+
+    const savedMessage = await messageModel.create({
+        project: projectId,
+        sender: senderId,
+        message
+    });
+
+    await savedMessage.populate('sender', 'email');
+
+    return savedMessage;
+};
+
+/**
+ * Persist an AI reply, including any generated file tree and commands
+ */
+export const saveAiMessage = async ({ projectId, result }) => {
+    if (!projectId) {
+        throw new Error('projectId is required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        throw new Error('Invalid projectId');
+    }
+
+    return await messageModel.create({
+        project: projectId,
+        isAi: true,
+        message: result.text || JSON.stringify(result),
+        fileTree: result.fileTree,
+        buildCommand: result.buildCommand,
+        startCommand: result.startCommand,
+        error: Boolean(result.error),
+        errorType: result.errorType
+    });
+};
+
+/**
+ * Cursor-paginated chat history, newest page first.
+ * `cursor` is the _id of the oldest message the client already has.
+ */
+export const getProjectMessages = async ({ projectId, userId, cursor, limit }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+        throw new Error('Invalid cursor');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isMember(userId)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const query = { project: projectId };
+    if (cursor) {
+        query._id = { $lt: cursor };
+    }
+
+    // Fetch one extra document to know whether an older page exists
+    const messages = await messageModel
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .populate('sender', 'email');
+
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize).reverse();
+
+    return {
+        messages: page.map(toClientMessage),
+        nextCursor: hasMore ? page[0]._id : null,
+        hasMore
+    };
+};
+
+/**
+ * Recent chat as AI conversation turns, oldest first.
+ * Teammates' messages become `user` turns prefixed with the sender's email;
+ * earlier AI replies become `assistant` turns in the JSON format the model produces.
+ * Each turn also carries a `compactContent` that drops generated file contents,
+ * for when the full turn does not fit the token budget.
+ */
+export const getConversationHistory = async ({ projectId, before, limit = 30 }) => {
+    const query = { project: projectId, error: { $ne: true } };
+    if (before) {
+        query._id = { $lt: before };
+    }
+
+    const messages = await messageModel
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(limit)
+        .populate('sender', 'email');
+
+    return messages.reverse().map(message => {
+        if (!message.isAi) {
+            const content = `${message.sender?.email || 'unknown'}: ${message.message}`;
+            return { role: 'user', content, compactContent: content };
+        }
+
+        const reply = {
+            type: message.fileTree ? 'code' : 'chat',
+            text: message.message
+        };
+
+        if (!message.fileTree) {
+            const content = JSON.stringify(reply);
+            return { role: 'assistant', content, compactContent: content };
+        }
+
+        return {
+            role: 'assistant',
+            content: JSON.stringify({
+                ...reply,
+                fileTree: message.fileTree,
+                buildCommand: message.buildCommand,
+                startCommand: message.startCommand
+            }),
+            compactContent: JSON.stringify({
+                ...reply,
+                files: Object.keys(message.fileTree)
+            })
+        };
+    });
+};
+
+export default {
+    toClientMessage,
+    saveUserMessage,
+    saveAiMessage,
+    getProjectMessages,
+    getConversationHistory
+};
@@ -0,0 +1,189 @@
+import notificationModel from '../models/notification.model.js';
+import projectModel from '../models/project.model.js';
+import userModel from '../models/user.model.js';
+import { emitToRoom } from './socket.service.js';
+import mongoose from 'mongoose';
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// @someone@example.com, or @someone when only one member's email starts that way
+const MENTION_PATTERN = /@([a-z0-9._%+-]+(?:@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})?)/gi;
+
+const idString = (id) => (id?._id || id)?.toString();
+
+/**
+ * Store a notification for each recipient and push it to their personal room.
+ * Actors are never notified about their own actions. Best effort, like the
+ * activity feed: failures are logged, not thrown.
+ */
+export const notifyUsers = async ({ recipients, type, projectId = null, projectName = null, actorId = null, text, data = {} }) => {
+    try {
+        const recipientIds = [ ...new Set((recipients || []).map(idString)) ]
+            .filter(id => id && id !== idString(actorId));
+
+        if (recipientIds.length === 0) return [];
+
+        const notifications = await notificationModel.insertMany(recipientIds.map(recipient => ({
+            recipient,
+            type,
+            project: projectId,
+            projectName,
+            actor: actorId,
+            text: text.slice(0, 500),
+            data
+        })));
+
+        const actor = actorId ? await userModel.findById(actorId).select('email') : null;
+
+        for (const notification of notifications) {
+            emitToRoom(notification.recipient, 'notification', {
+                ...notification.toObject(),
+                actor: actor ? { _id: actor._id, email: actor.email } : null
+            });
+        }
+
+        return notifications;
+    } catch (error) {
+        console.error('Notification error:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Members named in a chat message (by full email or unambiguous local part)
+ */
+export const extractMentions = (message, members) => {
+    const mentioned = new Map();
+
+    for (const [ , handle ] of message.matchAll(MENTION_PATTERN)) {
+        const lowerHandle = handle.toLowerCase();
+
+        // @ai talks to the assistant, not a member
+        if (lowerHandle === 'ai') continue;
+
+        const matches = lowerHandle.includes('@')
+            ? members.filter(member => member.email === lowerHandle)
+            : members.filter(member => member.email.split('@')[0] === lowerHandle);
+
+        if (matches.length === 1) {
+            mentioned.set(idString(matches[0]), matches[0]);
+        }
+    }
+
+    return [ ...mentioned.values() ];
+};
+
+/**
+ * Notify project members mentioned in a chat message
+ */
+export const notifyMentions = async ({ projectId, senderId, message, messageId }) => {
+    if (!message || !message.includes('@')) return [];
+
+    try {
+        const project = await projectModel.findById(projectId).select('name users').populate('users', 'email');
+
+        if (!project) return [];
+
+        const mentioned = extractMentions(message, project.users.filter(user => user?.email));
+
+        return await notifyUsers({
+            recipients: mentioned,
+            type: 'chat.mention',
+            projectId,
+            projectName: project.name,
+            actorId: senderId,
+            text: `You were mentioned in "${project.name}": ${message.length > 200 ? `${message.slice(0, 200)}…` : message}`,
+            data: { messageId }
+        });
+    } catch (error) {
+        console.error('Mention notification error:', error.message);
+        return [];
+    }
+};
+
+export const getUnreadCount = async ({ userId }) =>
+    await notificationModel.countDocuments({ recipient: userId, readAt: null });
+
+/**
+ * The user's notifications, newest first, with their unread count
+ */
+export const listNotifications = async ({ userId, unreadOnly = false, cursor, limit }) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid userId');
+    }
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+        throw new Error('Invalid cursor');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const query = { recipient: userId };
+    if (unreadOnly) query.readAt = null;
+    if (cursor) query._id = { $lt: cursor };
+
+    const [ notifications, unreadCount ] = await Promise.all([
+        notificationModel
+            .find(query)
+            .sort({ _id: -1 })
+            .limit(pageSize + 1)
+            .populate('actor', 'email'),
+        getUnreadCount({ userId })
+    ]);
+
+    const hasMore = notifications.length > pageSize;
+    const page = notifications.slice(0, pageSize);
+
+    return {
+        notifications: page,
+        unreadCount,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+        hasMore
+    };
+};
+
+/**
+ * Mark one notification read. Other open tabs hear about it on the personal room.
+ */
+export const markRead = async ({ userId, notificationId }) => {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+        throw new Error('Invalid notificationId');
+    }
+
+    const notification = await notificationModel.findOneAndUpdate(
+        { _id: notificationId, recipient: userId },
+        [ { $set: { readAt: { $ifNull: [ '$readAt', '$$NOW' ] } } } ],
+        { new: true, updatePipeline: true }
+    );
+
+    if (!notification) {
+        throw new Error('Notification not found');
+    }
+
+    const unreadCount = await getUnreadCount({ userId });
+    emitToRoom(userId, 'notifications-read', { notificationIds: [ notification._id ], unreadCount });
+
+    return { notification, unreadCount };
+};
+
+export const markAllRead = async ({ userId }) => {
+    const result = await notificationModel.updateMany(
+        { recipient: userId, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+
+    emitToRoom(userId, 'notifications-read', { all: true, unreadCount: 0 });
+
+    return { updated: result.modifiedCount, unreadCount: 0 };
+};
+
+export default {
+    notifyUsers,
+    extractMentions,
+    notifyMentions,
+    getUnreadCount,
+    listNotifications,
+    markRead,
+    markAllRead
+};
@@ -0,0 +1,150 @@
+/**
+ * Operational transformation for plain text, compatible with the ot.js
+ * TextOperation JSON format. An operation is an array of components:
+ *   positive integer -> retain n characters
+ *   string           -> insert text
+ *   negative integer -> delete n characters
+ * It must span the whole document it applies to.
+ */
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+/**
+ * Append a component, merging it with the previous one when they are of the same kind
+ */
+const push = (operation, component) => {
+    if (component === 0 || component === '') {
+        return operation;
+    }
+
+    const last = operation[operation.length - 1];
+
+    if (isRetain(component) && isRetain(last)) {
+        operation[operation.length - 1] = last + component;
+    } else if (isDelete(component) && isDelete(last)) {
+        operation[operation.length - 1] = last + component;
+    } else if (isInsert(component) && isInsert(last)) {
+        operation[operation.length - 1] = last + component;
+    } else {
+        operation.push(component);
+    }
+
+    return operation;
+};
+
+export const isValidOperation = (operation) =>
+    Array.isArray(operation) &&
+    operation.length > 0 &&
+    operation.every(component => isRetain(component) || isDelete(component) || (isInsert(component) && component.length > 0));
+
+/**
+ * Length of the document an operation applies to
+ */
+export const baseLength = (operation) => operation.reduce(
+    (length, component) => isInsert(component) ? length : length + Math.abs(component),
+    0
+);
+
+export const apply = (text, operation) => {
+    if (baseLength(operation) !== text.length) {
+        throw new Error('Operation does not match the document length');
+    }
+
+    let result = '';
+    let index = 0;
+
+    for (const component of operation) {
+        if (isRetain(component)) {
+            result += text.slice(index, index + component);
+            index += component;
+        } else if (isInsert(component)) {
+            result += component;
+        } else {
+            index -= component;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Transform two concurrent operations a and b (both based on the same document)
+ * into [a', b'] such that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+ * When both insert at the same position, a's text comes first.
+ */
+export const transform = (a, b) => {
+    if (baseLength(a) !== baseLength(b)) {
+        throw new Error('Both operations must have the same base length');
+    }
+
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0;
+    let j = 0;
+    let compA = a[i++];
+    let compB = b[j++];
+
+    while (compA !== undefined || compB !== undefined) {
+        if (isInsert(compA)) {
+            push(aPrime, compA);
+            push(bPrime, compA.length);
+            compA = a[i++];
+            continue;
+        }
+
+        if (isInsert(compB)) {
+            push(aPrime, compB.length);
+            push(bPrime, compB);
+            compB = b[j++];
+            continue;
+        }
+
+        if (compA === undefined || compB === undefined) {
+            throw new Error('Operations do not span the same document');
+        }
+
+        let length;
+
+        if (isRetain(compA) && isRetain(compB)) {
+            length = Math.min(compA, compB);
+            push(aPrime, length);
+            push(bPrime, length);
+        } else if (isDelete(compA) && isDelete(compB)) {
+            // Both deleted the same text; nothing left to do for this span
+            length = Math.min(-compA, -compB);
+        } else if (isDelete(compA) && isRetain(compB)) {
+            length = Math.min(-compA, compB);
+            push(aPrime, -length);
+        } else {
+            length = Math.min(compA, -compB);
+            push(bPrime, -length);
+        }
+
+        compA = shorten(compA, length) ?? a[i++];
+        compB = shorten(compB, length) ?? b[j++];
+    }
+
+    return [ aPrime, bPrime ];
+};
+
+/**
+ * Consume `length` characters of a retain/delete component; undefined when used up
+ */
+const shorten = (component, length) => {
+    const remaining = Math.abs(component) - length;
+
+    if (remaining === 0) {
+        return undefined;
+    }
+
+    return component > 0 ? remaining : -remaining;
+};
+
+export default {
+    isValidOperation,
+    baseLength,
+    apply,
+    transform
+};
@@ -0,0 +1,168 @@
+import redisClient from './redis.service.js';
+import projectModel from '../models/project.model.js';
+import mongoose from 'mongoose';
+
+/*
+ * Presence is stored per project as a Redis hash of socketId -> JSON entry,
+ * so a user with several tabs open stays online until the last one closes.
+ * The server refreshes each connected socket's lastSeen every heartbeat;
+ * entries that miss a few heartbeats (e.g. left behind by a crashed server)
+ * are dropped when the list is read. The key's own TTL only cleans up
+ * projects nobody opens again.
+ */
+export const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+const PRESENCE_STALE_MS = PRESENCE_HEARTBEAT_MS * 3;
+const PRESENCE_TTL_SECONDS = 60 * 60 * 24;
+
+const presenceKey = (projectId) => `presence:project:${projectId}`;
+
+const readEntry = async (projectId, socketId) => {
+    const raw = await redisClient.hget(presenceKey(projectId), socketId);
+    return raw ? JSON.parse(raw) : null;
+};
+
+const writeEntry = async (projectId, socketId, entry) => {
+    const key = presenceKey(projectId);
+    await redisClient
+        .multi()
+        .hset(key, socketId, JSON.stringify({ ...entry, lastSeen: Date.now() }))
+        .expire(key, PRESENCE_TTL_SECONDS)
+        .exec();
+};
+
+/**
+ * Current presence list for a project, one entry per user
+ */
+export const getPresence = async (projectId) => {
+    const entries = await redisClient.hgetall(presenceKey(projectId));
+    const users = new Map();
+    const staleSockets = [];
+    const staleBefore = Date.now() - PRESENCE_STALE_MS;
+
+    for (const [ socketId, raw ] of Object.entries(entries)) {
+        const entry = JSON.parse(raw);
+
+        if (!(entry.lastSeen >= staleBefore)) {
+            staleSockets.push(socketId);
+            continue;
+        }
+
+        const existing = users.get(entry.userId);
+
+        if (!existing) {
+            users.set(entry.userId, {
+                _id: entry.userId,
+                email: entry.email,
+                focusedFile: entry.focusedFile,
+                lastActive: entry.lastActive,
+                connections: 1
+            });
+            continue;
+        }
+
+        existing.connections++;
+        // The most recently active tab decides which file the user is looking at
+        if (entry.lastActive > existing.lastActive) {
+            existing.lastActive = entry.lastActive;
+            existing.focusedFile = entry.focusedFile;
+        }
+    }
+
+    if (staleSockets.length > 0) {
+        await redisClient.hdel(presenceKey(projectId), ...staleSockets);
+    }
+
+    return [ ...users.values() ].sort((a, b) => b.lastActive - a.lastActive);
+};
+
+export const addSocket = async ({ projectId, socketId, user }) => {
+    await writeEntry(projectId, socketId, {
+        userId: user._id,
+        email: user.email,
+        focusedFile: null,
+        lastActive: Date.now()
+    });
+
+    return await getPresence(projectId);
+};
+
+export const removeSocket = async ({ projectId, socketId }) => {
+    await redisClient.hdel(presenceKey(projectId), socketId);
+    return await getPresence(projectId);
+};
+
+export const setFocusedFile = async ({ projectId, socketId, path }) => {
+    const entry = await readEntry(projectId, socketId);
+
+    if (!entry) {
+        return null;
+    }
+
+    entry.focusedFile = typeof path === 'string' && path ? path : null;
+    entry.lastActive = Date.now();
+    await writeEntry(projectId, socketId, entry);
+
+    return await getPresence(projectId);
+};
+
+/**
+ * Mark a socket as still connected. Doesn't count as activity.
+ */
+export const heartbeat = async ({ projectId, socketId }) => {
+    const entry = await readEntry(projectId, socketId);
+
+    if (!entry) {
+        return;
+    }
+
+    await writeEntry(projectId, socketId, entry);
+};
+
+/**
+ * Record activity without changing focus
+ */
+export const touch = async ({ projectId, socketId }) => {
+    const entry = await readEntry(projectId, socketId);
+
+    if (!entry) {
+        return;
+    }
+
+    entry.lastActive = Date.now();
+    await writeEntry(projectId, socketId, entry);
+};
+
+/**
+ * Presence list for REST callers; members only
+ */
+export const getProjectPresence = async ({ projectId, userId }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId).select('owner users');
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isMember(userId)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    return await getPresence(projectId);
+};
+
+export default {
+    getPresence,
+    addSocket,
+    removeSocket,
+    setFocusedFile,
+    heartbeat,
+    touch,
+    getProjectPresence
+};
@@ -1,7 +1,24 @@
-import projectModel from '../models/project.model.js';
+import projectModel, { MEMBER_ROLES } from '../models/project.model.js';
+import snapshotModel from '../models/snapshot.model.js';
+import messageModel from '../models/message.model.js';
+import invitationModel from '../models/invitation.model.js';
+import { createSnapshot } from './snapshot.service.js';
+import { revisionFilter, createRevisionConflictError } from './revision.service.js';
+import { getProviderNames } from './aiProvider.service.js';
+import { getTemplate, recordTemplateUse } from './template.service.js';
+import { recordActivity } from './activity.service.js';
+import { notifyUsers } from './notification.service.js';
+import { changedPaths } from './fileTree.service.js';
+import { closeSessions } from './collab.service.js';
+import { emitToRoom } from './socket.service.js';
 import mongoose from 'mongoose';
 
-export const createProject = async ({ name, userId }) => {
+/**
+ * Create a project owned by userId. Its initial files come from fileTree (e.g. an
+ * imported archive) or from templateId, and get a first snapshot so they can be
+ * restored later.
+ */
+export const createProject = async ({ name, userId, fileTree, message, templateId, forkedFrom }) => {
     if (!name) {
         throw new Error('Name is required');
     }
@@ -28,12 +45,21 @@ export const createProject = async ({ name, userId }) => {
         throw new Error('A workspace with this name already exists. Please choose a different name.');
     }
 
+    if (templateId) {
+        const template = await getTemplate({ templateId, userId });
+        fileTree = template.fileTree;
+        message = message || `Created from template "${template.name}"`;
+    }
+
     let project;
     try {
         project = await projectModel.create({
             name: sanitizedName,
             owner: userId,
-            users: [userId]
+            users: [userId],
+            ...(fileTree && { fileTree }),
+            ...(templateId && { template: templateId }),
+            ...(forkedFrom && { forkedFrom })
         });
 
         await project.populate([
@@ -48,9 +74,80 @@ export const createProject = async ({ name, userId }) => {
         throw error;
     }
 
+    if (fileTree && Object.keys(fileTree).length > 0) {
+        await createSnapshot({
+            projectId: project._id,
+            fileTree,
+            authorId: userId,
+            message: message || 'Initial files',
+            revision: project.revision
+        });
+    }
+
+    if (templateId) {
+        await recordTemplateUse({ templateId });
+    }
+
+    await recordActivity({
+        projectId: project._id,
+        actorId: userId,
+        action: 'project.created',
+        target: { kind: 'project', id: project._id, label: project.name },
+        metadata: {
+            template: templateId || null,
+            forkedFrom: forkedFrom?.project || null,
+            initialFiles: Boolean(fileTree && Object.keys(fileTree).length > 0)
+        }
+    });
+
     return project;
 };
 
+/**
+ * Copy the files of a project the user can access into a new project they own
+ */
+export const forkProject = async ({ projectId, userId, name }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const source = await projectModel.findById(projectId);
+
+    if (!source) {
+        throw new Error('Project not found');
+    }
+
+    if (!source.isMember(userId)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    const fork = await createProject({
+        name: name || `${source.name}-fork`.slice(0, 50),
+        userId,
+        fileTree: source.fileTree || {},
+        message: `Forked from ${source.name}`,
+        forkedFrom: {
+            project: source._id,
+            name: source.name,
+            revision: source.revision
+        }
+    });
+
+    await recordActivity({
+        projectId: source._id,
+        actorId: userId,
+        action: 'project.forked',
+        target: { kind: 'project', id: fork._id, label: fork.name },
+        metadata: { revision: source.revision }
+    });
+
+    return fork;
+};
+
 export const getAllProjectByUserId = async ({ userId }) => {
     if (!userId) {
         throw new Error('UserId is required');
@@ -71,7 +168,12 @@ export const getAllProjectByUserId = async ({ userId }) => {
     return allUserProjects;
 };
 
-export const addUsersToProject = async ({ projectId, users, userId }) => {
+/**
+ * Add users as members. With invitationId the users are joining through an
+ * invitation the owner (userId) sent: the feed credits them rather than the
+ * owner, and they aren't notified about a membership they just accepted.
+ */
+export const addUsersToProject = async ({ projectId, users, userId, role = 'editor', invitationId = null }) => {
     if (!projectId) {
         throw new Error('projectId is required');
     }
@@ -96,6 +198,10 @@ export const addUsersToProject = async ({ projectId, users, userId }) => {
         throw new Error('Invalid userId');
     }
 
+    if (!MEMBER_ROLES.includes(role)) {
+        throw new Error(`Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}`);
+    }
+
     const project = await projectModel.findById(projectId);
 
     if (!project) {
@@ -119,6 +225,9 @@ export const addUsersToProject = async ({ projectId, users, userId }) => {
             {
                 $addToSet: {
                     users: { $each: newUsers }
+                },
+                $push: {
+                    memberRoles: { $each: newUsers.map(uid => ({ user: uid, role })) }
                 }
             },
             { new: true }
@@ -126,6 +235,30 @@ export const addUsersToProject = async ({ projectId, users, userId }) => {
         .populate('owner', 'email')
         .populate('users', 'email');
 
+    for (const uid of newUsers) {
+        await recordActivity({
+            projectId,
+            actorId: invitationId ? uid : userId,
+            action: 'member.added',
+            target: { kind: 'user', id: uid },
+            metadata: invitationId ? { role, invitation: invitationId } : { role }
+        });
+    }
+
+    if (invitationId) {
+        return updatedProject;
+    }
+
+    await notifyUsers({
+        recipients: newUsers,
+        type: 'project.added',
+        projectId,
+        projectName: project.name,
+        actorId: userId,
+        text: `You were added to "${project.name}" as ${role === 'viewer' ? 'a viewer' : 'an editor'}`,
+        data: { role }
+    });
+
     return updatedProject;
 };
 
@@ -150,7 +283,7 @@ export const getProjectById = async ({ projectId }) => {
     return project;
 };
 
-export const updateFileTree = async ({ projectId, fileTree, userId }) => {
+export const updateFileTree = async ({ projectId, fileTree, userId, message, expectedRevision }) => {
     if (!projectId) {
         throw new Error('projectId is required');
     }
@@ -181,15 +314,47 @@ export const updateFileTree = async ({ projectId, fileTree, userId }) => {
         throw new Error('You are not a member of this project');
     }
 
+    if (!project.canEdit(userId)) {
+        throw new Error('You do not have permission to edit files in this project');
+    }
+
     const updatedProject = await projectModel
-        .findByIdAndUpdate(
-            projectId,
-            { fileTree },
+        .findOneAndUpdate(
+            revisionFilter(projectId, expectedRevision),
+            { fileTree, $inc: { revision: 1 } },
             { new: true }
         )
         .populate('owner', 'email')
         .populate('users', 'email');
 
+    if (!updatedProject) {
+        throw await createRevisionConflictError({ projectId, expectedRevision, clientTree: fileTree });
+    }
+
+    await createSnapshot({
+        projectId,
+        fileTree,
+        authorId: userId,
+        message,
+        revision: updatedProject.revision
+    });
+
+    const paths = changedPaths(project.fileTree, fileTree);
+    closeSessions({ projectId, paths });
+
+    await recordActivity({
+        projectId,
+        actorId: userId,
+        action: 'files.updated',
+        target: { kind: 'files' },
+        metadata: {
+            revision: updatedProject.revision,
+            message: message || null,
+            changedCount: paths.length,
+            paths: paths.slice(0, 50)
+        }
+    });
+
     return updatedProject;
 };
 
@@ -221,6 +386,32 @@ export const deleteProject = async ({ projectId, userId }) => {
     }
 
     const deletedProject = await projectModel.findByIdAndDelete(projectId);
+    closeSessions({ projectId, reason: 'deleted' });
+
+    await Promise.all([
+        snapshotModel.deleteMany({ project: projectId }),
+        messageModel.deleteMany({ project: projectId }),
+        invitationModel.deleteMany({ project: projectId }),
+        // Forks keep the source's name but lose the link
+        projectModel.updateMany({ 'forkedFrom.project': projectId }, { $set: { 'forkedFrom.project': null } })
+    ]);
+
+    // The feed outlives the project as an audit trail for its former owner (see listActivity)
+    await recordActivity({
+        projectId,
+        actorId: userId,
+        action: 'project.deleted',
+        target: { kind: 'project', id: projectId, label: project.name }
+    });
+
+    await notifyUsers({
+        recipients: project.users,
+        type: 'project.deleted',
+        projectId,
+        projectName: project.name,
+        actorId: userId,
+        text: `The workspace "${project.name}" was deleted`
+    });
 
     return deletedProject;
 };
@@ -257,22 +448,429 @@ export const removeUserFromProject = async ({ projectId, userIdToRemove, request
         .findByIdAndUpdate(
             projectId,
             {
-                $pull: { users: userIdToRemove }
+                $pull: {
+                    users: userIdToRemove,
+                    memberRoles: { user: userIdToRemove }
+                }
             },
             { new: true }
         )
         .populate('owner', 'email')
         .populate('users', 'email');
 
+    await recordActivity({
+        projectId,
+        actorId: requestingUserId,
+        action: isSelfRemoval ? 'member.left' : 'member.removed',
+        target: { kind: 'user', id: userIdToRemove }
+    });
+
+    if (!isSelfRemoval) {
+        await notifyUsers({
+            recipients: [ userIdToRemove ],
+            type: 'project.removed',
+            projectId,
+            projectName: project.name,
+            actorId: requestingUserId,
+            text: `You were removed from "${project.name}"`
+        });
+    }
+
+    return updatedProject;
+};
+
+export const updateMemberRole = async ({ projectId, targetUserId, role, requestingUserId }) => {
+    if (!projectId || !targetUserId || !role || !requestingUserId) {
+        throw new Error('projectId, targetUserId, role, and requestingUserId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) ||
+        !mongoose.Types.ObjectId.isValid(targetUserId) ||
+        !mongoose.Types.ObjectId.isValid(requestingUserId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    if (!MEMBER_ROLES.includes(role)) {
+        throw new Error(`Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}`);
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isOwner(requestingUserId)) {
+        throw new Error('Only the project owner can change member roles');
+    }
+
+    if (project.isOwner(targetUserId)) {
+        throw new Error('The project owner\'s role cannot be changed');
+    }
+
+    if (!project.isMember(targetUserId)) {
+        throw new Error('User is not a member of this project');
+    }
+
+    // Update the existing entry, or add one for members that predate roles
+    const result = await projectModel.updateOne(
+        { _id: projectId, 'memberRoles.user': targetUserId },
+        { $set: { 'memberRoles.$.role': role } }
+    );
+
+    if (result.matchedCount === 0) {
+        await projectModel.updateOne(
+            { _id: projectId },
+            { $push: { memberRoles: { user: targetUserId, role } } }
+        );
+    }
+
+    await recordActivity({
+        projectId,
+        actorId: requestingUserId,
+        action: 'member.role_changed',
+        target: { kind: 'user', id: targetUserId },
+        metadata: { role, previousRole: project.getRole(targetUserId) }
+    });
+
+    await notifyUsers({
+        recipients: [ targetUserId ],
+        type: 'project.role_changed',
+        projectId,
+        projectName: project.name,
+        actorId: requestingUserId,
+        text: `Your role in "${project.name}" is now ${role}`,
+        data: { role }
+    });
+
+    const updatedProject = await projectModel
+        .findById(projectId)
+        .populate('owner', 'email')
+        .populate('users', 'email');
+
+    return updatedProject;
+};
+
+/**
+ * Make a member the owner. The previous owner stays on as `previousOwnerRole`,
+ * or leaves the project when it is null. Callers check permissions; actorId
+ * (for the activity feed) defaults to the previous owner.
+ */
+export const assignOwner = async ({ projectId, newOwnerId, previousOwnerRole = 'editor', reason = 'transfer', actorId }) => {
+    if (previousOwnerRole && !MEMBER_ROLES.includes(previousOwnerRole)) {
+        throw new Error(`Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}`);
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (project.isOwner(newOwnerId)) {
+        throw new Error('This user already owns the project');
+    }
+
+    if (!project.isMember(newOwnerId)) {
+        throw new Error('The new owner must be a member of the project');
+    }
+
+    const previousOwnerId = project.owner;
+    const update = {
+        $set: { owner: newOwnerId },
+        $unset: { pendingOwnershipTransfer: '' },
+        $pull: { memberRoles: { user: { $in: [ newOwnerId, previousOwnerId ] } } },
+        $push: { ownershipHistory: { from: previousOwnerId, to: newOwnerId, reason, transferredAt: new Date() } }
+    };
+
+    // `owner` is immutable for ordinary updates; ownership only changes through here
+    const { matchedCount } = await projectModel.updateOne({ _id: projectId, owner: previousOwnerId }, update, { overwriteImmutable: true });
+
+    if (matchedCount === 0) {
+        throw new Error('Project ownership changed in the meantime; try again');
+    }
+
+    if (previousOwnerRole) {
+        await projectModel.updateOne(
+            { _id: projectId },
+            { $push: { memberRoles: { user: previousOwnerId, role: previousOwnerRole } } }
+        );
+    } else {
+        await projectModel.updateOne({ _id: projectId }, { $pull: { users: previousOwnerId } });
+    }
+
+    await recordActivity({
+        projectId,
+        actorId: actorId || previousOwnerId,
+        action: 'ownership.transferred',
+        target: { kind: 'user', id: newOwnerId },
+        metadata: { from: previousOwnerId, reason, previousOwnerRole }
+    });
+
+    const updatedProject = await projectModel
+        .findById(projectId)
+        .populate('owner', 'email')
+        .populate('users', 'email');
+
+    // Every path here (transfer, accepted request, account deletion) tells the members
+    emitToRoom(projectId, 'project-owner-changed', {
+        projectId: updatedProject._id,
+        ownerId: updatedProject.owner._id,
+        owner: updatedProject.owner,
+        previousOwnerId
+    });
+
+    await notifyUsers({
+        recipients: [ updatedProject.owner._id, ...updatedProject.users.map(user => user._id) ],
+        type: 'project.owner_changed',
+        projectId,
+        projectName: updatedProject.name,
+        actorId: actorId || previousOwnerId,
+        text: `${updatedProject.owner.email} is now the owner of "${updatedProject.name}"`,
+        data: { previousOwnerId, reason }
+    });
+
     return updatedProject;
 };
 
+const DEFAULT_OWNERSHIP_TRANSFER_TTL_DAYS = 7;
+
+/**
+ * Hand a project to another member (owner only). With requireConfirmation the
+ * recipient has to accept first; otherwise the change is immediate.
+ * Returns { project, pending }.
+ */
+export const transferOwnership = async ({ projectId, newOwnerId, requestingUserId, requireConfirmation = false, previousOwnerRole = 'editor' }) => {
+    if (!projectId || !newOwnerId || !requestingUserId) {
+        throw new Error('projectId, newOwnerId, and requestingUserId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) ||
+        !mongoose.Types.ObjectId.isValid(newOwnerId) ||
+        !mongoose.Types.ObjectId.isValid(requestingUserId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isOwner(requestingUserId)) {
+        throw new Error('Only the project owner can transfer ownership');
+    }
+
+    if (project.isOwner(newOwnerId)) {
+        throw new Error('You already own this project');
+    }
+
+    if (!project.isMember(newOwnerId)) {
+        throw new Error('The new owner must be a member of the project');
+    }
+
+    if (!requireConfirmation) {
+        const updatedProject = await assignOwner({ projectId, newOwnerId, previousOwnerRole, actorId: requestingUserId });
+        return { project: updatedProject, pending: false };
+    }
+
+    const ttlDays = parseInt(process.env.OWNERSHIP_TRANSFER_TTL_DAYS, 10) || DEFAULT_OWNERSHIP_TRANSFER_TTL_DAYS;
+
+    // A new offer replaces any earlier one
+    project.pendingOwnershipTransfer = {
+        to: newOwnerId,
+        requestedBy: requestingUserId,
+        previousOwnerRole,
+        requestedAt: new Date(),
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+    };
+    await project.save();
+
+    await recordActivity({
+        projectId,
+        actorId: requestingUserId,
+        action: 'ownership.transfer_requested',
+        target: { kind: 'user', id: newOwnerId },
+        metadata: { previousOwnerRole, expiresAt: project.pendingOwnershipTransfer.expiresAt }
+    });
+
+    await project.populate([
+        { path: 'owner', select: 'email' },
+        { path: 'users', select: 'email' }
+    ]);
+
+    return { project, pending: true };
+};
+
+/**
+ * Accept or decline a pending ownership offer (recipient only)
+ */
+export const respondToOwnershipTransfer = async ({ projectId, userId, accept }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    const pending = project.pendingOwnershipTransfer;
+
+    if (!pending || pending.to.toString() !== userId.toString()) {
+        throw new Error('There is no pending ownership transfer for you on this project');
+    }
+
+    // The offer lapses if it expired or the person who made it no longer owns the project
+    if (pending.expiresAt.getTime() <= Date.now() || !project.isOwner(pending.requestedBy)) {
+        await projectModel.updateOne({ _id: projectId }, { $unset: { pendingOwnershipTransfer: '' } });
+        throw new Error('This ownership transfer has expired');
+    }
+
+    if (!accept) {
+        await projectModel.updateOne({ _id: projectId }, { $unset: { pendingOwnershipTransfer: '' } });
+
+        await recordActivity({
+            projectId,
+            actorId: userId,
+            action: 'ownership.transfer_declined',
+            target: { kind: 'user', id: pending.requestedBy }
+        });
+
+        return { project, previousOwnerId: project.owner, accepted: false };
+    }
+
+    const updatedProject = await assignOwner({
+        projectId,
+        newOwnerId: userId,
+        previousOwnerRole: pending.previousOwnerRole,
+        actorId: userId
+    });
+
+    return { project: updatedProject, previousOwnerId: pending.requestedBy, accepted: true };
+};
+
+/**
+ * Withdraw a pending ownership offer (owner only)
+ */
+export const cancelOwnershipTransfer = async ({ projectId, userId }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isOwner(userId)) {
+        throw new Error('Only the project owner can cancel an ownership transfer');
+    }
+
+    if (!project.pendingOwnershipTransfer) {
+        throw new Error('There is no pending ownership transfer on this project');
+    }
+
+    const recipientId = project.pendingOwnershipTransfer.to;
+    await projectModel.updateOne({ _id: projectId }, { $unset: { pendingOwnershipTransfer: '' } });
+
+    await recordActivity({
+        projectId,
+        actorId: userId,
+        action: 'ownership.transfer_cancelled',
+        target: { kind: 'user', id: recipientId }
+    });
+
+    return { recipientId };
+};
+
+/**
+ * Override the AI provider chain for one project (owner only).
+ * Passing null for a field (or for the whole settings object) restores the server default.
+ */
+export const updateAiSettings = async ({ projectId, settings, userId }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isOwner(userId)) {
+        throw new Error('Only the project owner can change AI settings');
+    }
+
+    const knownProviders = getProviderNames();
+    const { providers, models, temperature, maxOutputTokens } = settings || {};
+
+    const unknown = [ ...(providers || []), ...Object.keys(models || {}) ]
+        .filter(name => !knownProviders.includes(name));
+
+    if (unknown.length > 0) {
+        throw new Error(`Unknown AI provider: ${unknown.join(', ')}. Available: ${knownProviders.join(', ')}`);
+    }
+
+    const update = { $set: {}, $unset: {} };
+    const assign = (field, value) => {
+        if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+            update.$unset[`aiSettings.${field}`] = '';
+        } else {
+            update.$set[`aiSettings.${field}`] = value;
+        }
+    };
+
+    assign('providers', providers);
+    assign('models', models && Object.keys(models).length > 0 ? models : null);
+    assign('temperature', temperature);
+    assign('maxOutputTokens', maxOutputTokens);
+
+    const updatedProject = await projectModel.findByIdAndUpdate(
+        projectId,
+        update,
+        { new: true, runValidators: true }
+    ).select('aiSettings');
+
+    await recordActivity({
+        projectId,
+        actorId: userId,
+        action: 'ai.settings_updated',
+        target: { kind: 'ai' },
+        metadata: { settings: updatedProject.toObject().aiSettings ?? null }
+    });
+
+    return updatedProject.aiSettings;
+};
+
 export default {
     createProject,
+    forkProject,
     getAllProjectByUserId,
     addUsersToProject,
     getProjectById,
     updateFileTree,
     deleteProject,
-    removeUserFromProject
+    removeUserFromProject,
+    updateMemberRole,
+    assignOwner,
+    transferOwnership,
+    respondToOwnershipTransfer,
+    cancelOwnershipTransfer,
+    updateAiSettings
 };
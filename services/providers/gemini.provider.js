@@ -0,0 +1,61 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+let genAI = null;
+
+const getClient = () => {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_KEY);
+  }
+  return genAI;
+};
+
+/**
+ * Google Gemini
+ */
+export default {
+  name: "gemini",
+  label: "Gemini",
+  defaultModel: "gemini-flash-latest",
+  contextTokens: 1000000,
+
+  isConfigured: () => Boolean(process.env.GOOGLE_AI_KEY),
+
+  async generate({ systemInstruction, history, prompt, model, temperature, maxOutputTokens, onText }) {
+    const generativeModel = getClient().getGenerativeModel({
+      model,
+      generationConfig: {
+        temperature,
+        maxOutputTokens,
+      },
+      systemInstruction,
+    });
+
+    // Gemini names the assistant role "model"; merge consecutive turns from the same side
+    const contents = [];
+    for (const turn of [ ...history, { role: "user", content: prompt } ]) {
+      const role = turn.role === "assistant" ? "model" : "user";
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push({ text: turn.content });
+      } else {
+        contents.push({ role, parts: [{ text: turn.content }] });
+      }
+    }
+
+    const result = await generativeModel.generateContentStream({ contents });
+
+    let text = "";
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      text += delta;
+      onText(delta);
+    }
+
+    const usage = (await result.response).usageMetadata;
+
+    return {
+      text,
+      usage: usage && { promptTokens: usage.promptTokenCount, completionTokens: usage.candidatesTokenCount }
+    };
+  }
+};
@@ -0,0 +1,53 @@
+import Groq from "groq-sdk";
+
+let client = null;
+
+// Created on first use so the server can start without a Groq key
+const getClient = () => {
+  if (!client) {
+    client = new Groq({ apiKey: process.env.GROQ_API_KEY });
+  }
+  return client;
+};
+
+/**
+ * Groq (fast & high quota)
+ */
+export default {
+  name: "groq",
+  label: "Groq",
+  defaultModel: "llama-3.3-70b-versatile", // Alternative faster model: "llama-3.1-8b-instant"
+  contextTokens: 128000,
+
+  isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+
+  async generate({ systemInstruction, history, prompt, model, temperature, maxOutputTokens, onText }) {
+    const stream = await getClient().chat.completions.create({
+      messages: [
+        { role: "system", content: systemInstruction },
+        ...history,
+        { role: "user", content: prompt }
+      ],
+      model,
+      temperature,
+      max_tokens: maxOutputTokens,
+      stream: true,
+    });
+
+    let text = "";
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content || "";
+      text += delta;
+      onText(delta);
+      // Groq reports usage on the final chunk
+      usage = chunk.x_groq?.usage || chunk.usage || usage;
+    }
+
+    return {
+      text,
+      usage: usage && { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }
+    };
+  }
+};
@@ -0,0 +1,83 @@
+const CODE_KEYWORDS = [ "create", "build", "generate", "write", "implement", "code", "app", "server", "component" ];
+const QUESTION_KEYWORDS = [ "what", "why", "how", "explain", "difference", "when" ];
+
+const CHUNK_SIZE = 24;
+
+const hasKeyword = (text, keywords) => keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(text));
+
+const buildResponse = (prompt) => {
+  const lower = prompt.toLowerCase();
+
+  if (hasKeyword(lower, CODE_KEYWORDS)) {
+    return {
+      type: "code",
+      text: `Mock response: here is a minimal Express server for "${prompt.slice(0, 80)}".`,
+      fileTree: {
+        "package.json": {
+          file: {
+            contents: JSON.stringify({
+              name: "mock-app",
+              version: "1.0.0",
+              type: "module",
+              scripts: { start: "node app.js" },
+              dependencies: { express: "^4.21.0" }
+            }, null, 2)
+          }
+        },
+        "app.js": {
+          file: {
+            contents: "import express from 'express';\n\n" +
+                      "const app = express();\n\n" +
+                      "app.get('/', (req, res) => res.send('Hello from the mock provider'));\n\n" +
+                      "app.listen(3000, () => console.log('Listening on port 3000'));\n"
+          }
+        }
+      },
+      buildCommand: { mainItem: "npm", commands: [ "install" ] },
+      startCommand: { mainItem: "npm", commands: [ "start" ] }
+    };
+  }
+
+  if (hasKeyword(lower, QUESTION_KEYWORDS)) {
+    return {
+      type: "explanation",
+      text: `Mock explanation for: "${prompt.slice(0, 120)}". A real provider would explain this in detail.`
+    };
+  }
+
+  return {
+    type: "chat",
+    text: `Mock reply to: "${prompt.slice(0, 120)}"`
+  };
+};
+
+/**
+ * Deterministic offline provider: the same prompt always yields the same reply,
+ * streamed in small slices so the whole @ai flow can be exercised without API keys.
+ * Enable it with AI_PROVIDERS=mock. AI_MOCK_DELAY_MS slows the stream down (default 0).
+ */
+export default {
+  name: "mock",
+  label: "Mock (offline)",
+  defaultModel: "mock-1",
+  contextTokens: 32000,
+
+  isConfigured: () => true,
+
+  async generate({ prompt, onText }) {
+    const text = JSON.stringify(buildResponse(prompt));
+    const delay = parseInt(process.env.AI_MOCK_DELAY_MS, 10) || 0;
+
+    for (let index = 0; index < text.length; index += CHUNK_SIZE) {
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      onText(text.slice(index, index + CHUNK_SIZE));
+    }
+
+    return {
+      text,
+      usage: { promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(text.length / 4) }
+    };
+  }
+};
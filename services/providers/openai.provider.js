@@ -0,0 +1,81 @@
+/**
+ * Any OpenAI-compatible chat completions endpoint (OpenAI, OpenRouter, Together,
+ * a local Ollama or LM Studio server, ...). Configured with:
+ *   AI_OPENAI_BASE_URL - e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+ *   AI_OPENAI_API_KEY  - optional for local servers
+ *   AI_OPENAI_CONTEXT_TOKENS - context window of the configured model
+ */
+export default {
+  name: "openai",
+  label: "OpenAI-compatible",
+  defaultModel: "gpt-4o-mini",
+  get contextTokens() {
+    return parseInt(process.env.AI_OPENAI_CONTEXT_TOKENS, 10) || 128000;
+  },
+
+  isConfigured: () => Boolean(process.env.AI_OPENAI_BASE_URL || process.env.AI_OPENAI_API_KEY),
+
+  async generate({ systemInstruction, history, prompt, model, temperature, maxOutputTokens, onText }) {
+    const baseUrl = (process.env.AI_OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+    const headers = { "Content-Type": "application/json" };
+
+    if (process.env.AI_OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.AI_OPENAI_API_KEY}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: "system", content: systemInstruction },
+          ...history,
+          { role: "user", content: prompt }
+        ],
+        temperature,
+        max_tokens: maxOutputTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new Error(`OpenAI-compatible API error ${response.status}: ${body.slice(0, 300)}`);
+    }
+
+    // Server-sent events: one "data: {...}" line per chunk, terminated by "data: [DONE]"
+    const decoder = new TextDecoder();
+    let pending = "";
+    let text = "";
+    let usage = null;
+
+    const handleLine = (line) => {
+      if (!line.startsWith("data:")) return;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") return;
+
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content || "";
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+      usage = chunk.usage || usage;
+    };
+
+    for await (const bytes of response.body) {
+      pending += decoder.decode(bytes, { stream: true });
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      lines.forEach(line => handleLine(line.trim()));
+    }
+    handleLine(pending.trim());
+
+    return {
+      text,
+      usage: usage && { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }
+    };
+  }
+};
@@ -0,0 +1,81 @@
+import projectModel from '../models/project.model.js';
+import snapshotModel from '../models/snapshot.model.js';
+import { changedPaths } from './fileTree.service.js';
+
+/**
+ * Parse an If-Match header value ("3", W/"3") or a plain number.
+ * Returns undefined when no precondition was sent.
+ */
+export const parseExpectedRevision = (value) => {
+    if (value === undefined || value === null || value === '' || value === '*') {
+        return undefined;
+    }
+
+    const revision = Number(String(value).trim().replace(/^W\//, '').replace(/"/g, ''));
+
+    if (!Number.isInteger(revision) || revision < 0) {
+        throw new Error('Invalid revision: expected a non-negative integer');
+    }
+
+    return revision;
+};
+
+/**
+ * Query filter that only matches the project at the expected revision.
+ * Projects created before revisions existed have no field and count as 0.
+ */
+export const revisionFilter = (projectId, expectedRevision) => {
+    if (expectedRevision === undefined) {
+        return { _id: projectId };
+    }
+
+    if (expectedRevision === 0) {
+        return { _id: projectId, revision: { $in: [ 0, null ] } };
+    }
+
+    return { _id: projectId, revision: expectedRevision };
+};
+
+const overlaps = (changedPath, touchedPath) =>
+    changedPath === touchedPath ||
+    changedPath.startsWith(`${touchedPath}/`) ||
+    touchedPath.startsWith(`${changedPath}/`);
+
+/**
+ * Build the error for a stale write. Conflicting paths are the ones the
+ * caller touched that someone else changed since `expectedRevision`.
+ * Pass `clientTree` for whole-tree writes or `touchedPaths` for file operations.
+ */
+export const createRevisionConflictError = async ({ projectId, expectedRevision, clientTree, touchedPaths }) => {
+    const project = await projectModel.findById(projectId).select('fileTree revision');
+
+    if (!project) {
+        return new Error('Project not found');
+    }
+
+    const baseSnapshot = await snapshotModel
+        .findOne({ project: projectId, revision: expectedRevision })
+        .select('fileTree');
+
+    let conflictingPaths;
+
+    if (baseSnapshot) {
+        const changedSinceBase = changedPaths(baseSnapshot.fileTree, project.fileTree);
+        const touched = touchedPaths || changedPaths(baseSnapshot.fileTree, clientTree);
+        conflictingPaths = changedSinceBase.filter(path => touched.some(t => overlaps(path, t)));
+    } else {
+        // Base state was pruned or never recorded: report everything that differs
+        conflictingPaths = touchedPaths || changedPaths(clientTree, project.fileTree);
+    }
+
+    const error = new Error('This project was modified by someone else. Reload and merge your changes.');
+    error.currentRevision = project.revision;
+    error.conflictingPaths = conflictingPaths;
+    return error;
+};
+
+export default {
+    parseExpectedRevision,
+    revisionFilter,
+    createRevisionConflictError
+};
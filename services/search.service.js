@@ -0,0 +1,264 @@
+import { Worker } from 'worker_threads';
+import { flattenFileTree } from './fileTree.service.js';
+
+/*
+ * Text search over a project's file tree. Everything runs in memory on the
+ * stored tree, so the work is capped: patterns are length-limited, very long
+ * lines are only partly returned and the scan stops after MAX_RESULTS hits.
+ * Regex searches run in a worker thread that is killed after
+ * SEARCH_TIMEOUT_MS (default 2000), so a catastrophic pattern cannot block
+ * the event loop. At most SEARCH_MAX_WORKERS (default 2) run at once; later
+ * searches wait their turn, and are turned away once the queue is full.
+ */
+
+export const MAX_QUERY_LENGTH = 200;
+export const MAX_CONTEXT_LINES = 10;
+const MAX_RESULTS = 5000;
+const MAX_LINE_PREVIEW = 500;
+const DEFAULT_SEARCH_TIMEOUT_MS = 2000;
+const DEFAULT_MAX_WORKERS = 2;
+const MAX_QUEUED_SEARCHES = 20;
+
+const QUANTIFIERS = new Set([ '*', '+', '?', '{' ]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * True when a quantified group contains a quantifier itself, as in (a+)+ or
+ * (\w*x?)* - the shape behind exponential backtracking
+ */
+const hasNestedQuantifier = (pattern) => {
+    // One entry per open group: does it contain a quantifier?
+    const groups = [];
+    let inClass = false;
+
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+
+        if (char === '\\') {
+            index++;
+            continue;
+        }
+
+        if (inClass) {
+            if (char === ']') inClass = false;
+            continue;
+        }
+
+        if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+            // Skip the ? of (?:, (?=, (?<name> so it doesn't count as a quantifier
+            if (pattern[index + 1] === '?') index++;
+        } else if (char === ')') {
+            const quantifiedInside = groups.pop();
+            if (quantifiedInside && QUANTIFIERS.has(pattern[index + 1])) {
+                return true;
+            }
+            if (quantifiedInside && groups.length > 0) {
+                groups[groups.length - 1] = true;
+            }
+        } else if (QUANTIFIERS.has(char) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Compile the query into a global RegExp; invalid patterns throw a readable error
+ */
+export const buildSearchPattern = ({ query, regex = false, caseSensitive = false }) => {
+    if (!query || typeof query !== 'string') {
+        throw new Error('Search query is required');
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new Error(`Search query must not exceed ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    if (regex && hasNestedQuantifier(query)) {
+        throw new Error('Search pattern has nested quantifiers such as (a+)+, which can take exponential time');
+    }
+
+    const flags = caseSensitive ? 'g' : 'gi';
+
+    try {
+        return new RegExp(regex ? query : escapeRegExp(query), flags);
+    } catch (error) {
+        throw new Error(`Invalid search pattern: ${error.message}`);
+    }
+};
+
+/**
+ * Start/end offsets of every match in a string. Empty matches (e.g. /^/) are
+ * skipped so they neither loop forever nor flood the results.
+ */
+const findRanges = (pattern, text) => {
+    const ranges = [];
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return ranges;
+};
+
+const preview = (line) => line.length > MAX_LINE_PREVIEW ? `${line.slice(0, MAX_LINE_PREVIEW)}…` : line;
+
+/**
+ * All hits in [ path, contents ] pairs, ordered by path then line:
+ *   { type: 'path', path, ranges }
+ *   { type: 'content', path, line, text, ranges, before: [{ line, text }], after: [...] }
+ * stopAfter ends the scan early once that many hits are found (a page only
+ * needs the hits up to its end). Returns { results, truncated, complete,
+ * filesSearched }: truncated means MAX_RESULTS was reached, complete that every
+ * file was scanned. Binary files only match by path.
+ * Synchronous; callers outside the worker should use searchFileTree.
+ */
+export const searchFiles = (entries, { query, regex, caseSensitive, contextLines = 2, stopAfter }) => {
+    const pattern = buildSearchPattern({ query, regex, caseSensitive });
+    const context = Math.min(Math.max(parseInt(contextLines, 10) || 0, 0), MAX_CONTEXT_LINES);
+    const maxResults = Math.min(stopAfter || MAX_RESULTS, MAX_RESULTS);
+
+    const files = [ ...entries ].sort(([ a ], [ b ]) => a.localeCompare(b));
+    const results = [];
+    let stopped = false;
+
+    for (const [ path, contents ] of files) {
+        const pathRanges = findRanges(pattern, path);
+        if (pathRanges.length > 0) {
+            results.push({ type: 'path', path, ranges: pathRanges });
+        }
+
+        if (typeof contents !== 'string') continue;
+
+        const lines = contents.split(/\r?\n/);
+        if (lines.length > 1 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        for (let index = 0; index < lines.length; index++) {
+            const ranges = findRanges(pattern, lines[index]);
+            if (ranges.length === 0) continue;
+
+            results.push({
+                type: 'content',
+                path,
+                line: index + 1,
+                text: preview(lines[index]),
+                ranges,
+                before: lines.slice(Math.max(index - context, 0), index)
+                    .map((text, offset) => ({ line: Math.max(index - context, 0) + offset + 1, text: preview(text) })),
+                after: lines.slice(index + 1, index + 1 + context)
+                    .map((text, offset) => ({ line: index + offset + 2, text: preview(text) }))
+            });
+
+            if (results.length >= maxResults) break;
+        }
+
+        if (results.length >= maxResults) {
+            stopped = true;
+            break;
+        }
+    }
+
+    return {
+        results,
+        truncated: stopped && maxResults === MAX_RESULTS,
+        complete: !stopped,
+        filesSearched: files.length
+    };
+};
+
+let activeWorkers = 0;
+const waitingForWorker = [];
+
+const acquireWorkerSlot = () => {
+    const maxWorkers = parseInt(process.env.SEARCH_MAX_WORKERS, 10) || DEFAULT_MAX_WORKERS;
+
+    if (activeWorkers < maxWorkers) {
+        activeWorkers++;
+        return Promise.resolve();
+    }
+
+    if (waitingForWorker.length >= MAX_QUEUED_SEARCHES) {
+        return Promise.reject(new Error('Too many searches are running; try again shortly'));
+    }
+
+    return new Promise(resolve => waitingForWorker.push(resolve));
+};
+
+// Hand the slot straight to the next waiting search, if any
+const releaseWorkerSlot = () => {
+    const next = waitingForWorker.shift();
+
+    if (next) {
+        next();
+    } else {
+        activeWorkers--;
+    }
+};
+
+const runInWorker = async (entries, options) => {
+    await acquireWorkerSlot();
+
+    try {
+        return await startWorker(entries, options);
+    } finally {
+        releaseWorkerSlot();
+    }
+};
+
+const startWorker = (entries, options) => new Promise((resolve, reject) => {
+    const timeoutMs = parseInt(process.env.SEARCH_TIMEOUT_MS, 10) || DEFAULT_SEARCH_TIMEOUT_MS;
+    const worker = new Worker(new URL('./search.worker.js', import.meta.url), {
+        workerData: { entries, options }
+    });
+
+    const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new Error(`Search timed out after ${timeoutMs}ms; try a simpler pattern`));
+    }, timeoutMs);
+
+    worker.once('message', ({ result, error }) => {
+        clearTimeout(timer);
+        worker.terminate();
+        if (error) reject(new Error(error));
+        else resolve(result);
+    });
+
+    worker.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+    });
+});
+
+/**
+ * Search a file tree. Plain-text queries run inline (linear time); regex
+ * queries run in a worker with a hard timeout.
+ */
+export const searchFileTree = async (fileTree, options) => {
+    // Validate up front so bad patterns fail without starting a worker
+    buildSearchPattern(options);
+
+    // Binary contents only match by path, so the worker doesn't need their bytes
+    const entries = Object.entries(flattenFileTree(fileTree))
+        .map(([ path, contents ]) => [ path, typeof contents === 'string' ? contents : null ]);
+
+    return options.regex ? await runInWorker(entries, options) : searchFiles(entries, options);
+};
+
+export default {
+    buildSearchPattern,
+    searchFiles,
+    searchFileTree
+};
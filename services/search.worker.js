@@ -0,0 +1,9 @@
+import { parentPort, workerData } from 'worker_threads';
+import { searchFiles } from './search.service.js';
+
+// Runs one regex search off the main thread; search.service.js kills it on timeout
+try {
+    parentPort.postMessage({ result: searchFiles(workerData.entries, workerData.options) });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,305 @@
+import sessionModel, { MAX_PREVIOUS_TOKEN_HASHES } from '../models/session.model.js';
+import userModel from '../models/user.model.js';
+import redisClient from './redis.service.js';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/*
+ * Login sessions. Every login creates a session; the client gets a short-lived
+ * access token (JWT carrying the session id as `sid`) and a refresh token
+ * "<sessionId>.<secret>". Each refresh rotates the secret. Presenting an
+ * already-rotated token means it leaked, so the whole session is revoked.
+ *
+ * Revoked session ids are also written to Redis until any access token issued
+ * for them has expired, so authUser can reject them without a database lookup.
+ *
+ *   ACCESS_TOKEN_TTL_SECONDS - access token lifetime (default 900)
+ *   REFRESH_TOKEN_TTL_DAYS   - session lifetime without a refresh (default 30)
+ */
+
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const TOUCH_INTERVAL_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const revokedKey = (sessionId) => `session:revoked:${sessionId}`;
+
+export const getAccessTokenTtl = () =>
+    parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+
+const refreshExpiry = () => {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Short label such as "Chrome on Windows" for the sessions list
+ */
+export const describeDevice = (userAgent = '') => {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = [
+        [ /Edg\//, 'Edge' ],
+        [ /OPR\/|Opera/, 'Opera' ],
+        [ /Firefox\//, 'Firefox' ],
+        [ /Chrome\//, 'Chrome' ],
+        [ /Safari\//, 'Safari' ],
+        [ /PostmanRuntime/, 'Postman' ],
+        [ /curl\//, 'curl' ],
+        [ /node|axios|undici/i, 'Node.js client' ]
+    ].find(([ pattern ]) => pattern.test(userAgent))?.[1];
+
+    const os = [
+        [ /Windows/, 'Windows' ],
+        [ /Android/, 'Android' ],
+        [ /iPhone|iPad|iOS/, 'iOS' ],
+        [ /Mac OS X|Macintosh/, 'macOS' ],
+        [ /Linux/, 'Linux' ]
+    ].find(([ pattern ]) => pattern.test(userAgent))?.[1];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+};
+
+const createSessionError = (message, errorType) => {
+    const error = new Error(message);
+    error.errorType = errorType;
+    return error;
+};
+
+const issueTokens = (user, session, secret) => ({
+    accessToken: user.generateJWT(session._id, getAccessTokenTtl()),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: getAccessTokenTtl(),
+    session
+});
+
+/**
+ * A fresh access token for an existing session, e.g. after the user's email changed
+ */
+export const issueAccessToken = (user, sessionId) =>
+    sessionId ? user.generateJWT(sessionId, getAccessTokenTtl()) : user.generateJWT();
+
+/**
+ * Start a session for a user who just logged in or registered
+ */
+export const createSession = async ({ user, userAgent, ip }) => {
+    if (!user) {
+        throw new Error('User is required');
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const session = await sessionModel.create({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: (userAgent || '').slice(0, 500),
+        device: describeDevice(userAgent),
+        ip: ip || '',
+        expiresAt: refreshExpiry()
+    });
+
+    return issueTokens(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ */
+export const refreshSession = async ({ refreshToken, userAgent, ip }) => {
+    const [ sessionId, secret ] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw createSessionError('Invalid refresh token', 'invalid_refresh_token');
+    }
+
+    const presentedHash = hashToken(secret);
+    const session = await sessionModel
+        .findById(sessionId)
+        .select('+refreshTokenHash +previousTokenHashes');
+
+    if (!session || !session.isActive()) {
+        throw createSessionError('Session expired or revoked. Please log in again.', 'session_revoked');
+    }
+
+    if (session.previousTokenHashes.includes(presentedHash)) {
+        await revokeSessionById(session._id, 'refresh_token_reuse');
+        throw createSessionError('Refresh token reuse detected. The session has been revoked; please log in again.', 'refresh_token_reuse');
+    }
+
+    if (session.refreshTokenHash !== presentedHash) {
+        throw createSessionError('Invalid refresh token', 'invalid_refresh_token');
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('hex');
+
+    // Matching on the current hash makes concurrent refreshes with the same token race safely:
+    // only one rotates, the other is treated as reuse
+    const rotated = await sessionModel.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextSecret),
+                lastUsedAt: new Date(),
+                expiresAt: refreshExpiry(),
+                ip: ip || session.ip,
+                userAgent: (userAgent || session.userAgent).slice(0, 500),
+                device: userAgent ? describeDevice(userAgent) : session.device
+            },
+            $push: {
+                previousTokenHashes: { $each: [ presentedHash ], $slice: -MAX_PREVIOUS_TOKEN_HASHES }
+            }
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        await revokeSessionById(session._id, 'refresh_token_reuse');
+        throw createSessionError('Refresh token reuse detected. The session has been revoked; please log in again.', 'refresh_token_reuse');
+    }
+
+    const user = await userModel.findById(rotated.user);
+
+    if (!user) {
+        await revokeSessionById(rotated._id, 'user_deleted');
+        throw createSessionError('User not found', 'session_revoked');
+    }
+
+    return { ...issueTokens(user, rotated, nextSecret), user };
+};
+
+const markRevoked = async (sessionIds) => {
+    if (sessionIds.length === 0) return;
+
+    const transaction = redisClient.multi();
+    sessionIds.forEach(sessionId => transaction.set(revokedKey(sessionId), '1', 'EX', getAccessTokenTtl()));
+    await transaction.exec();
+};
+
+const revokeSessionById = async (sessionId, reason) => {
+    await sessionModel.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    await markRevoked([ sessionId.toString() ]);
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+export const listSessions = async ({ userId, currentSessionId }) => {
+    if (!userId) {
+        throw new Error('userId is required');
+    }
+
+    const sessions = await sessionModel
+        .find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('device userAgent ip lastUsedAt createdAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    return sessions.map(session => ({
+        ...session,
+        current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+    }));
+};
+
+/**
+ * Revoke one of the user's own sessions
+ */
+export const revokeSession = async ({ userId, sessionId, reason = 'logout' }) => {
+    if (!userId || !sessionId) {
+        throw new Error('userId and sessionId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new Error('Invalid sessionId');
+    }
+
+    const session = await sessionModel.findOne({ _id: sessionId, user: userId });
+
+    if (!session) {
+        throw new Error('Session not found');
+    }
+
+    if (session.revokedAt) {
+        throw new Error('Session is already revoked');
+    }
+
+    await revokeSessionById(session._id, reason);
+
+    return session;
+};
+
+/**
+ * Log out everywhere; optionally keep the session making the request.
+ * Returns the revoked session ids.
+ */
+export const revokeAllSessions = async ({ userId, exceptSessionId, reason = 'logout_all' }) => {
+    if (!userId) {
+        throw new Error('userId is required');
+    }
+
+    const query = { user: userId, revokedAt: null };
+
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await sessionModel.find(query).select('_id');
+    const sessionIds = sessions.map(session => session._id.toString());
+
+    if (sessionIds.length > 0) {
+        await sessionModel.updateMany(
+            { _id: { $in: sessionIds } },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        await markRevoked(sessionIds);
+    }
+
+    return sessionIds;
+};
+
+/**
+ * Fast check used on every authenticated request
+ */
+export const isSessionRevoked = async (sessionId) => {
+    return Boolean(await redisClient.exists(revokedKey(sessionId)));
+};
+
+/**
+ * Authoritative check against the database, for long-lived socket connections
+ */
+export const isSessionActive = async (sessionId) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return false;
+    }
+
+    const session = await sessionModel.findById(sessionId).select('revokedAt expiresAt');
+    return Boolean(session?.isActive());
+};
+
+/**
+ * Record that a session was used, at most once a minute
+ */
+export const touchSession = async (sessionId) => {
+    const shouldWrite = await redisClient.set(`session:touched:${sessionId}`, '1', 'EX', TOUCH_INTERVAL_SECONDS, 'NX');
+
+    if (shouldWrite) {
+        await sessionModel.updateOne({ _id: sessionId }, { $set: { lastUsedAt: new Date() } });
+    }
+};
+
+export default {
+    getAccessTokenTtl,
+    describeDevice,
+    issueAccessToken,
+    createSession,
+    refreshSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    isSessionRevoked,
+    isSessionActive,
+    touchSession
+};
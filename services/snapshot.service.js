@@ -0,0 +1,252 @@
+import snapshotModel from '../models/snapshot.model.js';
+import projectModel from '../models/project.model.js';
+import { diffFileTrees, changedPaths } from './fileTree.service.js';
+import { revisionFilter, createRevisionConflictError } from './revision.service.js';
+import { closeSessions } from './collab.service.js';
+import { recordActivity } from './activity.service.js';
+import mongoose from 'mongoose';
+
+const DEFAULT_RETENTION_COUNT = 50;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Retention policy from env:
+ * SNAPSHOT_RETENTION_COUNT - newest snapshots kept per project (default 50)
+ * SNAPSHOT_RETENTION_DAYS  - drop snapshots older than this (default 0 = never)
+ */
+const getRetentionPolicy = () => ({
+    maxCount: parseInt(process.env.SNAPSHOT_RETENTION_COUNT, 10) || DEFAULT_RETENTION_COUNT,
+    maxAgeDays: parseInt(process.env.SNAPSHOT_RETENTION_DAYS, 10) || 0
+});
+
+const loadProjectForMember = async ({ projectId, userId }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isMember(userId)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    return project;
+};
+
+const findProjectSnapshot = async ({ projectId, snapshotId }) => {
+    if (!mongoose.Types.ObjectId.isValid(snapshotId)) {
+        throw new Error('Invalid snapshotId');
+    }
+
+    const snapshot = await snapshotModel
+        .findOne({ _id: snapshotId, project: projectId })
+        .populate('author', 'email');
+
+    if (!snapshot) {
+        throw new Error('Snapshot not found');
+    }
+
+    return snapshot;
+};
+
+/**
+ * Delete snapshots outside the retention policy. The newest snapshot is always kept.
+ */
+export const pruneSnapshots = async ({ projectId }) => {
+    const { maxCount, maxAgeDays } = getRetentionPolicy();
+
+    const expired = await snapshotModel
+        .find({ project: projectId })
+        .sort({ createdAt: -1 })
+        .skip(maxCount)
+        .select('_id');
+
+    const expiredIds = expired.map(snapshot => snapshot._id);
+
+    if (maxAgeDays > 0) {
+        const newest = await snapshotModel
+            .findOne({ project: projectId })
+            .sort({ createdAt: -1 })
+            .select('_id');
+
+        const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+        const tooOld = await snapshotModel
+            .find({ project: projectId, createdAt: { $lt: cutoff }, _id: { $ne: newest?._id } })
+            .select('_id');
+
+        expiredIds.push(...tooOld.map(snapshot => snapshot._id));
+    }
+
+    if (expiredIds.length === 0) {
+        return 0;
+    }
+
+    const result = await snapshotModel.deleteMany({ _id: { $in: expiredIds } });
+    return result.deletedCount;
+};
+
+export const createSnapshot = async ({ projectId, fileTree, authorId, message, revision = null, restoredFrom = null }) => {
+    if (!projectId || !authorId) {
+        throw new Error('projectId and authorId are required');
+    }
+
+    const snapshot = await snapshotModel.create({
+        project: projectId,
+        author: authorId,
+        fileTree: fileTree || {},
+        message,
+        revision,
+        restoredFrom
+    });
+
+    try {
+        await pruneSnapshots({ projectId });
+    } catch (error) {
+        // Pruning is housekeeping; never fail the write because of it
+        console.error('Snapshot pruning error:', error.message);
+    }
+
+    return snapshot;
+};
+
+/**
+ * List snapshots newest first, without their file trees
+ */
+export const listSnapshots = async ({ projectId, userId, cursor, limit }) => {
+    await loadProjectForMember({ projectId, userId });
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+        throw new Error('Invalid cursor');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const query = { project: projectId };
+    if (cursor) {
+        query._id = { $lt: cursor };
+    }
+
+    const snapshots = await snapshotModel
+        .find(query)
+        .select('-fileTree')
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .populate('author', 'email');
+
+    const hasMore = snapshots.length > pageSize;
+    const page = snapshots.slice(0, pageSize);
+
+    return {
+        snapshots: page,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+        hasMore
+    };
+};
+
+export const getSnapshot = async ({ projectId, snapshotId, userId }) => {
+    await loadProjectForMember({ projectId, userId });
+    return await findProjectSnapshot({ projectId, snapshotId });
+};
+
+/**
+ * Per-file diff between two snapshots. `to` may be "current" to compare
+ * against the project's live file tree.
+ */
+export const diffSnapshots = async ({ projectId, from, to, userId }) => {
+    const project = await loadProjectForMember({ projectId, userId });
+
+    if (!from || !to) {
+        throw new Error('Both from and to snapshot IDs are required');
+    }
+
+    const fromSnapshot = await findProjectSnapshot({ projectId, snapshotId: from });
+    const toTree = to === 'current'
+        ? project.fileTree
+        : (await findProjectSnapshot({ projectId, snapshotId: to })).fileTree;
+
+    const files = diffFileTrees(fromSnapshot.fileTree, toTree);
+
+    return {
+        from,
+        to,
+        files,
+        summary: {
+            filesChanged: files.length,
+            additions: files.reduce((sum, file) => sum + file.additions, 0),
+            deletions: files.reduce((sum, file) => sum + file.deletions, 0)
+        }
+    };
+};
+
+/**
+ * Make a snapshot the current file tree. The restore itself is recorded as a new snapshot.
+ */
+export const restoreSnapshot = async ({ projectId, snapshotId, userId, message, expectedRevision }) => {
+    const project = await loadProjectForMember({ projectId, userId });
+
+    if (!project.canEdit(userId)) {
+        throw new Error('You do not have permission to edit files in this project');
+    }
+
+    const snapshot = await findProjectSnapshot({ projectId, snapshotId });
+
+    const updatedProject = await projectModel
+        .findOneAndUpdate(
+            revisionFilter(projectId, expectedRevision),
+            { fileTree: snapshot.fileTree, $inc: { revision: 1 } },
+            { new: true }
+        )
+        .populate('owner', 'email')
+        .populate('users', 'email');
+
+    if (!updatedProject) {
+        throw await createRevisionConflictError({ projectId, expectedRevision, clientTree: snapshot.fileTree });
+    }
+
+    closeSessions({ projectId, reason: 'restored' });
+
+    const restoreSnapshotEntry = await createSnapshot({
+        projectId,
+        fileTree: snapshot.fileTree,
+        authorId: userId,
+        revision: updatedProject.revision,
+        message: message || `Restored snapshot from ${snapshot.createdAt.toISOString()}`,
+        restoredFrom: snapshot._id
+    });
+
+    const paths = changedPaths(project.fileTree, snapshot.fileTree);
+
+    await recordActivity({
+        projectId,
+        actorId: userId,
+        action: 'files.updated',
+        target: { kind: 'files' },
+        metadata: {
+            revision: updatedProject.revision,
+            message: restoreSnapshotEntry.message,
+            restoredFrom: snapshot._id,
+            changedCount: paths.length,
+            paths: paths.slice(0, 50)
+        }
+    });
+
+    return { project: updatedProject, snapshot: restoreSnapshotEntry };
+};
+
+export default {
+    pruneSnapshots,
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    diffSnapshots,
+    restoreSnapshot
+};
@@ -0,0 +1,23 @@
+/*
+ * Holds the Socket.IO server so services can push events without a request.
+ * server.js registers it at startup; until then (or in scripts) emits are no-ops.
+ */
+
+let io = null;
+
+export const setIO = (server) => {
+    io = server;
+};
+
+export const getIO = () => io;
+
+export const emitToRoom = (room, event, payload) => {
+    if (!io || !room) return;
+    io.to(room.toString()).emit(event, payload);
+};
+
+export default {
+    setIO,
+    getIO,
+    emitToRoom
+};
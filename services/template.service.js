@@ -0,0 +1,199 @@
+import templateModel from '../models/template.model.js';
+import projectModel from '../models/project.model.js';
+import nodeExpressTemplate from './templates/node-express.template.js';
+import reactViteTemplate from './templates/react-vite.template.js';
+import mernStarterTemplate from './templates/mern-starter.template.js';
+import mongoose from 'mongoose';
+
+/*
+ * Starting points for new projects. Built-in templates ship with the server and
+ * are addressed by a slug ("mern-starter"); user-published ones are stored in
+ * MongoDB and addressed by their ObjectId.
+ */
+
+const builtInTemplates = new Map(
+    [ nodeExpressTemplate, reactViteTemplate, mernStarterTemplate ].map(template => [ template.id, template ])
+);
+
+const describeBuiltIn = (template, { withFileTree = false } = {}) => ({
+    _id: template.id,
+    name: template.name,
+    description: template.description,
+    builtIn: true,
+    visibility: 'public',
+    ...(withFileTree && { fileTree: template.fileTree })
+});
+
+// author may or may not be populated
+const isAuthor = (template, userId) => (template.author?._id || template.author)?.toString() === userId.toString();
+
+const canUseTemplate = (template, userId) => template.visibility === 'public' || isAuthor(template, userId);
+
+/**
+ * Built-in templates, then public ones and the caller's own, without file trees
+ */
+export const listTemplates = async ({ userId, mine = false }) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid userId');
+    }
+
+    const query = mine
+        ? { author: userId }
+        : { $or: [ { visibility: 'public' }, { author: userId } ] };
+
+    const published = await templateModel
+        .find(query)
+        .select('-fileTree')
+        .populate('author', 'email')
+        .sort({ usageCount: -1, createdAt: -1 })
+        .limit(100);
+
+    return [
+        ...(mine ? [] : [ ...builtInTemplates.values() ].map(template => describeBuiltIn(template))),
+        ...published
+    ];
+};
+
+/**
+ * A template with its file tree, if the user may use it
+ */
+export const getTemplate = async ({ templateId, userId }) => {
+    if (!templateId) {
+        throw new Error('templateId is required');
+    }
+
+    const builtIn = builtInTemplates.get(templateId);
+
+    if (builtIn) {
+        return describeBuiltIn(builtIn, { withFileTree: true });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        throw new Error('Template not found');
+    }
+
+    const template = await templateModel.findById(templateId).populate('author', 'email');
+
+    // Someone else's private template looks the same as a missing one
+    if (!template || !canUseTemplate(template, userId)) {
+        throw new Error('Template not found');
+    }
+
+    return template;
+};
+
+/**
+ * Count a use of a published template; built-in ones are not tracked
+ */
+export const recordTemplateUse = async ({ templateId }) => {
+    if (builtInTemplates.has(templateId)) return;
+
+    await templateModel.updateOne({ _id: templateId }, { $inc: { usageCount: 1 } });
+};
+
+/**
+ * Publish the current files of a project the user belongs to as a template
+ */
+export const publishTemplate = async ({ projectId, userId, name, description, visibility = 'private' }) => {
+    if (!projectId || !userId) {
+        throw new Error('projectId and userId are required');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(projectId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new Error('Invalid ID format');
+    }
+
+    const project = await projectModel.findById(projectId);
+
+    if (!project) {
+        throw new Error('Project not found');
+    }
+
+    if (!project.isMember(userId)) {
+        throw new Error('You are not a member of this project');
+    }
+
+    if (!project.canEdit(userId)) {
+        throw new Error('You do not have permission to publish templates from this project');
+    }
+
+    // Making a project's code public is the owner's call
+    if (visibility === 'public' && !project.isOwner(userId)) {
+        throw new Error('Only the project owner can publish a public template');
+    }
+
+    const template = await templateModel.create({
+        name: name || project.name,
+        description,
+        fileTree: project.fileTree || {},
+        author: userId,
+        visibility,
+        sourceProject: project._id
+    });
+
+    await template.populate('author', 'email');
+
+    return template;
+};
+
+export const updateTemplate = async ({ templateId, userId, name, description, visibility }) => {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        throw new Error(builtInTemplates.has(templateId) ? 'Built-in templates cannot be changed' : 'Template not found');
+    }
+
+    const template = await templateModel.findById(templateId);
+
+    if (!template || !canUseTemplate(template, userId)) {
+        throw new Error('Template not found');
+    }
+
+    if (!isAuthor(template, userId)) {
+        throw new Error('Only the template author can change it');
+    }
+
+    if (visibility === 'public' && template.visibility !== 'public') {
+        const sourceProject = await projectModel.findById(template.sourceProject).select('owner');
+
+        if (!sourceProject?.isOwner(userId)) {
+            throw new Error('Only the project owner can publish a public template');
+        }
+    }
+
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (visibility !== undefined) template.visibility = visibility;
+
+    await template.save();
+    await template.populate('author', 'email');
+
+    return template;
+};
+
+export const deleteTemplate = async ({ templateId, userId }) => {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        throw new Error(builtInTemplates.has(templateId) ? 'Built-in templates cannot be changed' : 'Template not found');
+    }
+
+    const template = await templateModel.findById(templateId).select('author visibility');
+
+    if (!template || !canUseTemplate(template, userId)) {
+        throw new Error('Template not found');
+    }
+
+    if (!isAuthor(template, userId)) {
+        throw new Error('Only the template author can delete it');
+    }
+
+    await templateModel.deleteOne({ _id: templateId });
+
+    return template;
+};
+
+export default {
+    listTemplates,
+    getTemplate,
+    recordTemplateUse,
+    publishTemplate,
+    updateTemplate,
+    deleteTemplate
+};
@@ -0,0 +1,78 @@
+import expressTemplate from './node-express.template.js';
+import reactTemplate from './react-vite.template.js';
+
+const serverPackageJson = {
+    name: 'mern-server',
+    version: '1.0.0',
+    type: 'module',
+    scripts: {
+        start: 'node server.js',
+        dev: 'node --watch server.js'
+    },
+    dependencies: {
+        cors: '^2.8.5',
+        dotenv: '^16.4.5',
+        express: '^4.21.0',
+        mongoose: '^8.6.0'
+    }
+};
+
+const rootPackageJson = {
+    name: 'mern-starter',
+    private: true,
+    scripts: {
+        'dev:server': 'npm --prefix server run dev',
+        'dev:client': 'npm --prefix client run dev'
+    }
+};
+
+/*
+ * The Express and React starters side by side, with MongoDB wired into the server
+ */
+export default {
+    id: 'mern-starter',
+    name: 'MERN starter',
+    description: 'Express + MongoDB API in server/ and a React + Vite client in client/.',
+    fileTree: {
+        'package.json': {
+            file: { contents: `${JSON.stringify(rootPackageJson, null, 2)}\n` }
+        },
+        server: {
+            directory: {
+                ...expressTemplate.fileTree,
+                'package.json': {
+                    file: { contents: `${JSON.stringify(serverPackageJson, null, 2)}\n` }
+                },
+                'server.js': {
+                    file: {
+                        contents: "import 'dotenv/config';\n" +
+                                  "import express from 'express';\n" +
+                                  "import cors from 'cors';\n" +
+                                  "import mongoose from 'mongoose';\n" +
+                                  "import routes from './routes/index.js';\n\n" +
+                                  'const app = express();\n' +
+                                  'const port = process.env.PORT || 3000;\n\n' +
+                                  'app.use(cors());\n' +
+                                  'app.use(express.json());\n' +
+                                  "app.use('/api', routes);\n\n" +
+                                  'mongoose.connect(process.env.MONGODB_URI)\n' +
+                                  "    .then(() => console.log('Connected to MongoDB'))\n" +
+                                  "    .catch(error => console.error('MongoDB connection error:', error.message));\n\n" +
+                                  'app.listen(port, () => {\n' +
+                                  '    console.log(`Server listening on port ${port}`);\n' +
+                                  '});\n'
+                    }
+                },
+                '.env.example': {
+                    file: { contents: 'PORT=3000\nMONGODB_URI=mongodb://localhost:27017/mern-starter\n' }
+                }
+            }
+        },
+        client: {
+            directory: reactTemplate.fileTree
+        },
+        '.gitignore': {
+            file: { contents: 'node_modules\ndist\n.env\n' }
+        }
+    }
+};
@@ -0,0 +1,53 @@
+const packageJson = {
+    name: 'express-api',
+    version: '1.0.0',
+    type: 'module',
+    scripts: {
+        start: 'node server.js',
+        dev: 'node --watch server.js'
+    },
+    dependencies: {
+        express: '^4.21.0'
+    }
+};
+
+export default {
+    id: 'node-express',
+    name: 'Node + Express API',
+    description: 'A minimal Express server with a JSON health route, ready to run with npm start.',
+    fileTree: {
+        'package.json': {
+            file: { contents: `${JSON.stringify(packageJson, null, 2)}\n` }
+        },
+        'server.js': {
+            file: {
+                contents: "import express from 'express';\n" +
+                          "import routes from './routes/index.js';\n\n" +
+                          'const app = express();\n' +
+                          'const port = process.env.PORT || 3000;\n\n' +
+                          'app.use(express.json());\n' +
+                          "app.use('/api', routes);\n\n" +
+                          'app.listen(port, () => {\n' +
+                          '    console.log(`Server listening on port ${port}`);\n' +
+                          '});\n'
+            }
+        },
+        routes: {
+            directory: {
+                'index.js': {
+                    file: {
+                        contents: "import { Router } from 'express';\n\n" +
+                                  'const router = Router();\n\n' +
+                                  "router.get('/health', (req, res) => {\n" +
+                                  "    res.json({ status: 'ok' });\n" +
+                                  '});\n\n' +
+                                  'export default router;\n'
+                    }
+                }
+            }
+        },
+        '.gitignore': {
+            file: { contents: 'node_modules\n.env\n' }
+        }
+    }
+};
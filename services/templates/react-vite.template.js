@@ -0,0 +1,88 @@
+const packageJson = {
+    name: 'react-app',
+    private: true,
+    version: '0.0.0',
+    type: 'module',
+    scripts: {
+        dev: 'vite',
+        build: 'vite build',
+        preview: 'vite preview'
+    },
+    dependencies: {
+        react: '^18.3.1',
+        'react-dom': '^18.3.1'
+    },
+    devDependencies: {
+        '@vitejs/plugin-react': '^4.3.1',
+        vite: '^5.4.0'
+    }
+};
+
+export default {
+    id: 'react-vite',
+    name: 'React + Vite',
+    description: 'A React single-page app bundled with Vite; start it with npm run dev.',
+    fileTree: {
+        'package.json': {
+            file: { contents: `${JSON.stringify(packageJson, null, 2)}\n` }
+        },
+        'vite.config.js': {
+            file: {
+                contents: "import { defineConfig } from 'vite';\n" +
+                          "import react from '@vitejs/plugin-react';\n\n" +
+                          'export default defineConfig({\n' +
+                          '    plugins: [ react() ]\n' +
+                          '});\n'
+            }
+        },
+        'index.html': {
+            file: {
+                contents: '<!doctype html>\n' +
+                          '<html lang="en">\n' +
+                          '  <head>\n' +
+                          '    <meta charset="UTF-8" />\n' +
+                          '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />\n' +
+                          '    <title>React App</title>\n' +
+                          '  </head>\n' +
+                          '  <body>\n' +
+                          '    <div id="root"></div>\n' +
+                          '    <script type="module" src="/src/main.jsx"></script>\n' +
+                          '  </body>\n' +
+                          '</html>\n'
+            }
+        },
+        src: {
+            directory: {
+                'main.jsx': {
+                    file: {
+                        contents: "import React from 'react';\n" +
+                                  "import ReactDOM from 'react-dom/client';\n" +
+                                  "import App from './App.jsx';\n\n" +
+                                  "ReactDOM.createRoot(document.getElementById('root')).render(\n" +
+                                  '    <React.StrictMode>\n' +
+                                  '        <App />\n' +
+                                  '    </React.StrictMode>\n' +
+                                  ');\n'
+                    }
+                },
+                'App.jsx': {
+                    file: {
+                        contents: "import { useState } from 'react';\n\n" +
+                                  'export default function App() {\n' +
+                                  '    const [ count, setCount ] = useState(0);\n\n' +
+                                  '    return (\n' +
+                                  '        <main>\n' +
+                                  '            <h1>Hello from React</h1>\n' +
+                                  '            <button onClick={() => setCount(count + 1)}>Clicked {count} times</button>\n' +
+                                  '        </main>\n' +
+                                  '    );\n' +
+                                  '}\n'
+                    }
+                }
+            }
+        },
+        '.gitignore': {
+            file: { contents: 'node_modules\ndist\n' }
+        }
+    }
+};
@@ -1,4 +1,15 @@
 import userModel from '../models/user.model.js';
+import { issueAccountToken, consumeAccountToken, TOKEN_PURPOSES } from './accountToken.service.js';
+import { revokeAllSessions } from './session.service.js';
+import { sendMail, frontendUrl } from './mail.service.js';
+import projectModel from '../models/project.model.js';
+import invitationModel from '../models/invitation.model.js';
+import sessionModel from '../models/session.model.js';
+import accessTokenModel from '../models/accessToken.model.js';
+import templateModel from '../models/template.model.js';
+import notificationModel from '../models/notification.model.js';
+import { deleteProject, assignOwner } from './project.service.js';
+import crypto from 'crypto';
 
 export const createUser = async ({
     email, password
@@ -30,3 +41,281 @@ export const getAllUsers = async ({ userId }) => {
     
     return users;
 }
+
+const DEFAULT_EMAIL_VERIFICATION_TTL_HOURS = 24;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 30;
+
+// Ties a reset token to the password it replaces, so it dies once the password changes
+const passwordFingerprint = (passwordHash) =>
+    crypto.createHash('sha256').update(passwordHash || '').digest('hex').slice(0, 16);
+
+/**
+ * Email a verification link to the user's current address
+ */
+export const requestEmailVerification = async ({ userId }) => {
+    const user = await userModel.findById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    if (user.emailVerified) {
+        throw new Error('Email is already verified');
+    }
+
+    const hours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || DEFAULT_EMAIL_VERIFICATION_TTL_HOURS;
+    const token = issueAccountToken({
+        userId: user._id,
+        purpose: TOKEN_PURPOSES.verifyEmail,
+        ttlSeconds: hours * 60 * 60,
+        claims: { email: user.email }
+    });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your CodexSpace email address',
+        text: `Confirm that ${user.email} is your email address:\n\n` +
+              `${frontendUrl(`/verify-email?token=${token}`)}\n\n` +
+              `This link expires in ${hours} hours. If you didn't create an account, you can ignore this email.`
+    });
+
+    return user;
+}
+
+export const confirmEmailVerification = async ({ token }) => {
+    const payload = await consumeAccountToken(token, TOKEN_PURPOSES.verifyEmail);
+    const user = await userModel.findById(payload.sub);
+
+    // The link is only good for the address it was sent to
+    if (!user || user.email !== payload.email) {
+        throw new Error('This link is invalid.');
+    }
+
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+    }
+
+    return user;
+}
+
+/**
+ * Email a password reset link. Unknown addresses are ignored silently
+ * so the endpoint doesn't reveal who has an account.
+ */
+export const requestPasswordReset = async ({ email }) => {
+    if (!email) {
+        throw new Error('Email is required');
+    }
+
+    const user = await userModel.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+    if (!user) {
+        return;
+    }
+
+    const minutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || DEFAULT_PASSWORD_RESET_TTL_MINUTES;
+    const token = issueAccountToken({
+        userId: user._id,
+        purpose: TOKEN_PURPOSES.resetPassword,
+        ttlSeconds: minutes * 60,
+        claims: { pwd: passwordFingerprint(user.password) }
+    });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your CodexSpace password',
+        text: `Someone asked to reset the password for ${user.email}.\n\n` +
+              `Choose a new password: ${frontendUrl(`/reset-password?token=${token}`)}\n\n` +
+              `This link expires in ${minutes} minutes and can be used once. If you didn't ask for this, ignore this email.`
+    });
+}
+
+/**
+ * Set a new password from a reset link and sign out every existing session
+ */
+export const confirmPasswordReset = async ({ token, password }) => {
+    if (!password) {
+        throw new Error('Password is required');
+    }
+
+    const payload = await consumeAccountToken(token, TOKEN_PURPOSES.resetPassword);
+    const user = await userModel.findById(payload.sub).select('+password');
+
+    if (!user || passwordFingerprint(user.password) !== payload.pwd) {
+        throw new Error('This link is invalid.');
+    }
+
+    user.password = await userModel.hashPassword(password);
+    // Receiving the email proves the user owns the address
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions({ userId: user._id, reason: 'password_reset' });
+
+    return user;
+}
+
+const loadUserWithPassword = async ({ userId, password }) => {
+    const user = await userModel.findById(userId).select('+password');
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    if (!password || !(await user.isValidPassword(password))) {
+        throw new Error('Current password is incorrect');
+    }
+
+    return user;
+}
+
+/**
+ * Change the password; every other session is signed out
+ */
+export const changePassword = async ({ userId, currentPassword, newPassword, currentSessionId }) => {
+    if (!newPassword) {
+        throw new Error('New password is required');
+    }
+
+    const user = await loadUserWithPassword({ userId, password: currentPassword });
+
+    if (await user.isValidPassword(newPassword)) {
+        throw new Error('The new password must be different from the current one');
+    }
+
+    user.password = await userModel.hashPassword(newPassword);
+    await user.save();
+
+    await revokeAllSessions({ userId: user._id, exceptSessionId: currentSessionId, reason: 'password_changed' });
+
+    return user;
+}
+
+/**
+ * Move the account to a new address. The address must be verified again, the
+ * old one is told about the change, and every other session is signed out.
+ */
+export const changeEmail = async ({ userId, newEmail, password, currentSessionId }) => {
+    if (!newEmail) {
+        throw new Error('New email is required');
+    }
+
+    const user = await loadUserWithPassword({ userId, password });
+    const normalizedEmail = newEmail.toLowerCase().trim();
+    const previousEmail = user.email;
+
+    if (normalizedEmail === previousEmail) {
+        throw new Error('This is already your email address');
+    }
+
+    if (await userModel.exists({ email: normalizedEmail })) {
+        throw new Error('An account with this email already exists');
+    }
+
+    user.email = normalizedEmail;
+    user.emailVerified = false;
+    user.emailVerifiedAt = null;
+    await user.save();
+
+    await revokeAllSessions({ userId: user._id, exceptSessionId: currentSessionId, reason: 'email_changed' });
+
+    try {
+        await requestEmailVerification({ userId: user._id });
+        await sendMail({
+            to: previousEmail,
+            subject: 'Your CodexSpace email address was changed',
+            text: `The email address of your CodexSpace account was changed from ${previousEmail} to ${normalizedEmail}.\n\n` +
+                  `If you didn't do this, reset your password and contact support.`
+        });
+    } catch (error) {
+        console.error('Email change notification error:', error.message);
+    }
+
+    return user;
+}
+
+// Next owner when the current one leaves: longest-standing editor, otherwise any member
+const pickSuccessor = (project, userId) => {
+    const candidates = project.users
+        .map(member => member.toString())
+        .filter(memberId => memberId !== userId.toString());
+
+    return candidates.find(memberId => project.getRole(memberId) === 'editor') || candidates[0] || null;
+}
+
+/**
+ * Delete the account. Each owned project goes to the member named in
+ * projectActions[projectId], is deleted when that says 'delete', and otherwise
+ * passes to a successor (or is deleted when nobody else is a member).
+ * Returns { transferredProjects: [{ projectId, newOwnerId }], deletedProjects, leftProjects }.
+ */
+export const deleteAccount = async ({ userId, password, projectActions = {} }) => {
+    const user = await loadUserWithPassword({ userId, password });
+
+    const ownedProjects = await projectModel.find({ owner: user._id });
+
+    // Check every choice before changing anything
+    const plan = ownedProjects.map(project => {
+        const projectId = project._id.toString();
+        const action = projectActions[projectId];
+
+        if (action === 'delete') {
+            return { projectId, newOwnerId: null };
+        }
+
+        if (action) {
+            if (action === user._id.toString() || !project.isMember(action)) {
+                throw new Error(`The new owner of "${project.name}" must be another member of the project`);
+            }
+            return { projectId, newOwnerId: action };
+        }
+
+        return { projectId, newOwnerId: pickSuccessor(project, user._id) };
+    });
+
+    const transferredProjects = [];
+    const deletedProjects = [];
+
+    for (const { projectId, newOwnerId } of plan) {
+        if (newOwnerId) {
+            await assignOwner({ projectId, newOwnerId, previousOwnerRole: null, reason: 'account_deleted' });
+            transferredProjects.push({ projectId, newOwnerId });
+        } else {
+            await deleteProject({ projectId, userId: user._id });
+            deletedProjects.push(projectId);
+        }
+    }
+
+    const memberOf = await projectModel.find({ users: user._id }).select('_id');
+
+    await projectModel.updateMany(
+        { users: user._id },
+        { $pull: { users: user._id, memberRoles: { user: user._id } } }
+    );
+
+    await revokeAllSessions({ userId: user._id, reason: 'account_deleted' });
+
+    await Promise.all([
+        invitationModel.updateMany(
+            { email: user.email, status: 'pending' },
+            { $set: { status: 'revoked', respondedAt: new Date() } }
+        ),
+        sessionModel.deleteMany({ user: user._id }),
+        accessTokenModel.deleteMany({ user: user._id }),
+        templateModel.deleteMany({ author: user._id }),
+        notificationModel.deleteMany({ recipient: user._id })
+    ]);
+
+    await userModel.deleteOne({ _id: user._id });
+
+    return {
+        transferredProjects,
+        deletedProjects,
+        leftProjects: memberOf.map(project => project._id.toString())
+    };
+}